@@ -7,26 +7,199 @@
 // 3. node app.js
 // 4. Server runs on http://localhost:3000
 
+const fs = require('fs');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const path = require('path');
 const express = require('express');
 const { v4: uuidv4 } = require('uuid');
 
 const app = express();
-app.use(express.json());
 
-// In-memory data storage
-const vehicles = new Map();
-const telemetryData = new Map(); // VIN -> Array of telemetry records
-const alerts = new Map();
+// Raised from the 100kb default so bulk telemetry and import uploads fit
+const BODY_LIMIT = process.env.BODY_LIMIT || '10mb';
+app.use(express.json({ limit: BODY_LIMIT }));
+
+// Storage layer
+// Routes never touch raw Maps; they go through named collections handed out by
+// a repository. The backend is chosen with STORAGE_DRIVER:
+//   memory (default) - data lives for the lifetime of the process
+//   file             - each collection is saved as STORAGE_DIR/<name>.json and reloaded on start
+
+class MemoryCollection {
+    constructor(name, onChange) {
+        this.name = name;
+        this.items = new Map();
+        this.onChange = onChange;
+    }
+
+    get(id) {
+        return this.items.get(id);
+    }
+
+    has(id) {
+        return this.items.has(id);
+    }
+
+    list() {
+        return Array.from(this.items.values());
+    }
+
+    count() {
+        return this.items.size;
+    }
+
+    // Also used to persist in-place changes to an entity that is already stored
+    set(id, value) {
+        this.items.set(id, value);
+        this.onChange(this.name);
+        return value;
+    }
+
+    delete(id) {
+        const existed = this.items.delete(id);
+        if (existed) {
+            this.onChange(this.name);
+        }
+        return existed;
+    }
+}
+
+class InMemoryRepository {
+    constructor() {
+        this.collections = new Map();
+    }
+
+    // revive turns a stored plain object back into its entity; unused in memory
+    collection(name, revive) {
+        if (!this.collections.has(name)) {
+            this.collections.set(name, new MemoryCollection(name, () => this.changed(name)));
+        }
+        return this.collections.get(name);
+    }
+
+    changed(name) {}
+
+    flush() {}
+}
+
+class FileRepository extends InMemoryRepository {
+    constructor(dirPath) {
+        super();
+        this.dirPath = dirPath;
+        this.writeTimer = null;
+        this.dirty = new Set();
+        // Collections whose async write is in progress
+        this.writing = new Set();
+    }
+
+    filePath(name) {
+        return path.join(this.dirPath, `${name}.json`);
+    }
+
+    collection(name, revive = value => value) {
+        const isNew = !this.collections.has(name);
+        const collection = super.collection(name);
+
+        if (isNew && fs.existsSync(this.filePath(name))) {
+            const stored = JSON.parse(fs.readFileSync(this.filePath(name), 'utf8'));
+            Object.entries(stored).forEach(([id, value]) => {
+                collection.items.set(id, revive(value));
+            });
+        }
+
+        return collection;
+    }
+
+    // Writes are coalesced so a burst of changes produces a single write per changed collection
+    changed(name) {
+        this.dirty.add(name);
+        if (this.writeTimer) {
+            return;
+        }
+        this.writeTimer = setTimeout(() => {
+            this.writeTimer = null;
+            this.writeDirty();
+        }, 100);
+    }
+
+    serialize(name) {
+        return JSON.stringify(Object.fromEntries(this.collections.get(name).items));
+    }
+
+    // Only changed collections are rewritten, without blocking on disk I/O. A collection
+    // changed again while it is being written is marked dirty and written afterwards.
+    async writeDirty() {
+        const names = [...this.dirty].filter(name => !this.writing.has(name));
+        await fs.promises.mkdir(this.dirPath, { recursive: true });
+        await Promise.all(names.map(async name => {
+            this.dirty.delete(name);
+            this.writing.add(name);
+            try {
+                const tempFile = `${this.filePath(name)}.tmp`;
+                await fs.promises.writeFile(tempFile, this.serialize(name));
+                await fs.promises.rename(tempFile, this.filePath(name));
+            } catch (error) {
+                console.error(`Writing collection ${name} failed:`, error);
+                this.dirty.add(name);
+            } finally {
+                this.writing.delete(name);
+            }
+        }));
+        if (this.dirty.size > 0) {
+            this.changed([...this.dirty][0]);
+        }
+    }
+
+    // Synchronous, for process exit: writes whatever is dirty or still being written
+    flush() {
+        if (this.writeTimer) {
+            clearTimeout(this.writeTimer);
+            this.writeTimer = null;
+        }
+
+        const names = new Set([...this.dirty, ...this.writing]);
+        if (names.size === 0) {
+            return;
+        }
+        fs.mkdirSync(this.dirPath, { recursive: true });
+        names.forEach(name => {
+            const tempFile = `${this.filePath(name)}.exit.tmp`;
+            fs.writeFileSync(tempFile, this.serialize(name));
+            fs.renameSync(tempFile, this.filePath(name));
+        });
+        this.dirty.clear();
+    }
+}
+
+function createRepository() {
+    const driver = process.env.STORAGE_DRIVER || 'memory';
+
+    if (driver === 'memory') {
+        return new InMemoryRepository();
+    }
+
+    if (driver === 'file') {
+        return new FileRepository(path.resolve(process.env.STORAGE_DIR || 'data'));
+    }
+
+    throw new Error(`Unknown STORAGE_DRIVER: ${driver}`);
+}
 
 // Vehicle class definition
 class Vehicle {
-    constructor(vin, manufacturer, model, fleetId, owner, registrationStatus = 'Active') {
+    constructor(vin, manufacturer, model, fleetId, owner, registrationStatus = 'Active', fuelTankCapacity = null,
+        batteryCapacityKwh = null) {
         this.vin = vin;
         this.manufacturer = manufacturer;
         this.model = model;
         this.fleetId = fleetId;
         this.owner = owner;
         this.registrationStatus = registrationStatus;
+        // Litres; turns fuelLevel percentages into volumes in fuel reports
+        this.fuelTankCapacity = fuelTankCapacity;
+        // Usable traction battery in kWh; set for electric vehicles (enables range estimates)
+        this.batteryCapacityKwh = batteryCapacityKwh;
         this.createdAt = new Date();
         this.updatedAt = new Date();
     }
@@ -39,121 +212,6536 @@ class Vehicle {
         });
         this.updatedAt = new Date();
     }
+
+    static fromJSON(data) {
+        return Object.assign(Object.create(Vehicle.prototype), { fuelTankCapacity: null, batteryCapacityKwh: null }, data, {
+            createdAt: new Date(data.createdAt),
+            updatedAt: new Date(data.updatedAt),
+            ...(data.deletedAt ? { deletedAt: new Date(data.deletedAt) } : {})
+        });
+    }
+}
+
+// Fleet class
+// `id` is the fleetId referenced by vehicles, API keys, rules and the other fleet-scoped entries.
+// defaultThresholds override the global alert rules for the fleet's vehicles.
+class Fleet {
+    constructor(data) {
+        this.id = data.id;
+        this.name = data.name;
+        this.timezone = data.timezone || 'UTC';
+        this.defaultThresholds = data.defaultThresholds || {};
+        this.manager = data.manager || null;
+        this.createdAt = new Date();
+        this.updatedAt = new Date();
+    }
+
+    update(updates) {
+        Object.keys(updates).forEach(key => {
+            if (!['id', 'createdAt', 'updatedAt'].includes(key) && this.hasOwnProperty(key)) {
+                this[key] = updates[key];
+            }
+        });
+        this.updatedAt = new Date();
+    }
+
+    static fromJSON(data) {
+        return Object.assign(Object.create(Fleet.prototype), data, {
+            createdAt: new Date(data.createdAt),
+            updatedAt: new Date(data.updatedAt)
+        });
+    }
 }
 
+const FLEET_ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_.-]{0,63}$/;
+
 // Telemetry data class
+// `timestamp` is when the device took the reading (defaults to arrival time),
+// `receivedAt` is when the server stored it; `messageId` makes retries idempotent.
 class TelemetryRecord {
-    constructor(vin, speed, fuelLevel, batteryLevel, location, engineStatus) {
+    constructor(vin, speed, fuelLevel, batteryLevel, location, engineStatus, timestamp = new Date(), messageId = null,
+        odometer = null, diagnosticCodes = null) {
         this.id = uuidv4();
         this.vin = vin;
+        this.messageId = messageId;
         this.speed = speed;
         this.fuelLevel = fuelLevel;
         this.batteryLevel = batteryLevel;
         this.location = location;
         this.engineStatus = engineStatus;
-        this.timestamp = new Date();
+        this.odometer = odometer;
+        // null means the device did not report codes; [] means it reported none active
+        this.diagnosticCodes = diagnosticCodes;
+        this.timestamp = timestamp;
+        this.receivedAt = new Date();
+        // Driver assigned to the vehicle at `timestamp`, if any
+        this.driverId = null;
+    }
+
+    static fromJSON(data) {
+        return Object.assign(Object.create(TelemetryRecord.prototype), data, {
+            timestamp: new Date(data.timestamp),
+            receivedAt: new Date(data.receivedAt || data.timestamp)
+        });
     }
 }
 
 // Alert class
+// An alert represents one ongoing condition (vin + key). Repeated detections bump
+// `occurrences` and `lastSeen` instead of creating a new alert every telemetry frame.
 class Alert {
-    constructor(vin, type, message, severity = 'Medium') {
+    constructor(vin, type, message, severity = 'Medium', key = type) {
         this.id = uuidv4();
         this.vin = vin;
         this.type = type;
+        this.key = key;
         this.message = message;
         this.severity = severity;
         this.timestamp = new Date();
         this.status = 'Active';
+        this.occurrences = 1;
+        this.lastSeen = this.timestamp;
+        this.acknowledgedAt = null;
+        this.resolvedAt = null;
+        this.resolvedBy = null;
+        // Driver assigned to the vehicle when the condition was first detected
+        this.driverId = null;
+    }
+
+    isOpen() {
+        return this.status !== 'Resolved';
+    }
+
+    recordOccurrence(message, severity, at) {
+        this.occurrences++;
+        this.message = message;
+        if (at > this.lastSeen) {
+            this.lastSeen = at;
+        }
+        // Escalate but never silently downgrade an open alert
+        if (ALERT_SEVERITIES.indexOf(severity) > ALERT_SEVERITIES.indexOf(this.severity)) {
+            this.severity = severity;
+        }
+    }
+
+    canTransitionTo(status) {
+        return ALERT_STATUS_TRANSITIONS[this.status].includes(status);
+    }
+
+    transitionTo(status, actor = 'user', at = new Date()) {
+        this.status = status;
+        if (status === 'Acknowledged') {
+            this.acknowledgedAt = at;
+        }
+        if (status === 'Resolved') {
+            this.resolvedAt = at;
+            this.resolvedBy = actor;
+        }
+    }
+
+    static fromJSON(data) {
+        const toDate = value => value ? new Date(value) : null;
+        return Object.assign(Object.create(Alert.prototype), {
+            key: data.type,
+            occurrences: 1,
+            lastSeen: data.timestamp,
+            acknowledgedAt: null,
+            resolvedAt: null,
+            resolvedBy: null,
+            driverId: null
+        }, data, {
+            timestamp: new Date(data.timestamp),
+            lastSeen: new Date(data.lastSeen || data.timestamp),
+            acknowledgedAt: toDate(data.acknowledgedAt),
+            resolvedAt: toDate(data.resolvedAt)
+        });
+    }
+}
+
+const ALERT_STATUSES = ['Active', 'Acknowledged', 'Resolved'];
+
+const ALERT_STATUS_TRANSITIONS = {
+    Active: ['Acknowledged', 'Resolved'],
+    Acknowledged: ['Resolved'],
+    Resolved: []
+};
+
+// Alert rule class
+// A rule raises an alert of `type` when `telemetry[field] <operator> threshold`.
+// fleetId / manufacturer narrow the rule to a subset of vehicles (null = all).
+class AlertRule {
+    constructor(data) {
+        this.id = uuidv4();
+        this.name = data.name || `${data.type} rule`;
+        this.type = data.type;
+        this.field = data.field;
+        this.operator = data.operator;
+        this.threshold = data.threshold;
+        this.severity = data.severity || 'Medium';
+        this.fleetId = data.fleetId || null;
+        this.manufacturer = data.manufacturer || null;
+        this.enabled = data.enabled !== undefined ? data.enabled : true;
+        this.createdAt = new Date();
+        this.updatedAt = new Date();
+    }
+
+    update(updates) {
+        Object.keys(updates).forEach(key => {
+            if (!['id', 'createdAt', 'updatedAt'].includes(key) && this.hasOwnProperty(key)) {
+                this[key] = updates[key];
+            }
+        });
+        this.updatedAt = new Date();
+    }
+
+    appliesTo(vehicle) {
+        if (this.fleetId && (!vehicle || vehicle.fleetId !== this.fleetId)) {
+            return false;
+        }
+        if (this.manufacturer && (!vehicle ||
+            vehicle.manufacturer.toLowerCase() !== this.manufacturer.toLowerCase())) {
+            return false;
+        }
+        return true;
+    }
+
+    // Rules scoped to a fleet and manufacturer win over fleet-only, manufacturer-only and global ones
+    specificity() {
+        return (this.fleetId ? 2 : 0) + (this.manufacturer ? 1 : 0);
+    }
+
+    matches(telemetry) {
+        const value = telemetry[this.field];
+        if (typeof value !== 'number') {
+            return false;
+        }
+        return ALERT_RULE_OPERATORS[this.operator](value, this.threshold);
+    }
+
+    static fromJSON(data) {
+        return Object.assign(Object.create(AlertRule.prototype), data, {
+            createdAt: new Date(data.createdAt),
+            updatedAt: new Date(data.updatedAt)
+        });
+    }
+}
+
+const ALERT_RULE_OPERATORS = {
+    '>': (value, threshold) => value > threshold,
+    '>=': (value, threshold) => value >= threshold,
+    '<': (value, threshold) => value < threshold,
+    '<=': (value, threshold) => value <= threshold,
+    '==': (value, threshold) => value === threshold,
+    '!=': (value, threshold) => value !== threshold
+};
+
+// Numeric TelemetryRecord fields a rule can watch; estimatedRangeKm is derived for EVs
+const ALERT_RULE_FIELDS = ['speed', 'fuelLevel', 'batteryLevel', 'odometer', 'estimatedRangeKm'];
+
+const ALERT_SEVERITIES = ['Low', 'Medium', 'High', 'Critical'];
+
+// Types of alerts the server raises itself rather than through rules. A rule of the
+// same type would share their alert key and resolve them whenever it does not match.
+const SYSTEM_ALERT_TYPES = ['GEOFENCE_ENTER', 'GEOFENCE_EXIT', 'DIAGNOSTIC_CODE', 'MAINTENANCE_DUE', 'NO_SIGNAL', 'FUEL_ANOMALY'];
+
+// Seeded on first start so behaviour matches the original hard-coded thresholds
+const DEFAULT_ALERT_RULES = [
+    { name: 'Speed limit', type: 'SPEED_VIOLATION', field: 'speed', operator: '>', threshold: 80, severity: 'High' },
+    { name: 'Low fuel', type: 'LOW_FUEL', field: 'fuelLevel', operator: '<', threshold: 15, severity: 'Medium' },
+    { name: 'Low battery', type: 'LOW_BATTERY', field: 'batteryLevel', operator: '<', threshold: 15, severity: 'Medium' }
+];
+
+// Fleet defaultThresholds keys and the alert each one sets the threshold of
+const FLEET_THRESHOLDS = {
+    maxSpeed: DEFAULT_ALERT_RULES[0],
+    minFuelLevel: DEFAULT_ALERT_RULES[1],
+    minBatteryLevel: DEFAULT_ALERT_RULES[2]
+};
+
+// Geofence class
+// Either a circle (center + radiusMeters) or a polygon (ordered points). A geofence
+// assigned to a vin or fleetId only watches those vehicles; unassigned ones watch all.
+class Geofence {
+    constructor(data) {
+        this.id = uuidv4();
+        this.name = data.name;
+        this.shape = data.shape;
+        this.center = data.shape === 'circle' ? data.center : null;
+        this.radiusMeters = data.shape === 'circle' ? data.radiusMeters : null;
+        this.points = data.shape === 'polygon' ? data.points : null;
+        this.fleetId = data.fleetId || null;
+        this.vin = data.vin || null;
+        this.alertOnEnter = data.alertOnEnter !== undefined ? data.alertOnEnter : true;
+        this.alertOnExit = data.alertOnExit !== undefined ? data.alertOnExit : true;
+        this.severity = data.severity || 'Medium';
+        this.createdAt = new Date();
+        this.updatedAt = new Date();
+    }
+
+    update(updates) {
+        Object.keys(updates).forEach(key => {
+            if (!['id', 'createdAt', 'updatedAt'].includes(key) && this.hasOwnProperty(key)) {
+                this[key] = updates[key];
+            }
+        });
+        if (this.shape === 'circle') {
+            this.points = null;
+        } else {
+            this.center = null;
+            this.radiusMeters = null;
+        }
+        this.updatedAt = new Date();
+    }
+
+    appliesTo(vehicle) {
+        if (this.vin && (!vehicle || vehicle.vin !== this.vin)) {
+            return false;
+        }
+        if (this.fleetId && (!vehicle || vehicle.fleetId !== this.fleetId)) {
+            return false;
+        }
+        return true;
+    }
+
+    contains(location) {
+        if (this.shape === 'circle') {
+            return haversineDistance(this.center, location) * 1000 <= this.radiusMeters;
+        }
+        return pointInPolygon(location, this.points);
+    }
+
+    static fromJSON(data) {
+        return Object.assign(Object.create(Geofence.prototype), data, {
+            createdAt: new Date(data.createdAt),
+            updatedAt: new Date(data.updatedAt)
+        });
+    }
+}
+
+// API key class
+// Only a SHA-256 hash of the key is stored; the plain key is returned once on creation.
+class ApiKey {
+    constructor(data, keyHash) {
+        this.id = uuidv4();
+        this.name = data.name;
+        this.role = data.role;
+        this.fleetId = data.fleetId || null;
+        this.vin = data.vin || null;
+        this.keyHash = keyHash;
+        this.createdAt = new Date();
+        this.lastUsedAt = null;
+    }
+
+    // Public view for API responses; keyHash never leaves the server
+    toResponse() {
+        const { keyHash, ...rest } = this;
+        return rest;
+    }
+
+    static fromJSON(data) {
+        return Object.assign(Object.create(ApiKey.prototype), data, {
+            createdAt: new Date(data.createdAt),
+            lastUsedAt: data.lastUsedAt ? new Date(data.lastUsedAt) : null
+        });
+    }
+}
+
+// Maintenance plan class
+// Service every intervalKm, intervalDays and/or intervalEngineHours, whichever comes
+// first, for vehicles matching manufacturer / model (null matches all).
+class MaintenancePlan {
+    constructor(data) {
+        this.id = uuidv4();
+        this.name = data.name;
+        this.manufacturer = data.manufacturer || null;
+        this.model = data.model || null;
+        this.intervalKm = data.intervalKm || null;
+        this.intervalDays = data.intervalDays || null;
+        this.intervalEngineHours = data.intervalEngineHours || null;
+        this.createdAt = new Date();
+        this.updatedAt = new Date();
+    }
+
+    update(updates) {
+        Object.keys(updates).forEach(key => {
+            if (!['id', 'createdAt', 'updatedAt'].includes(key) && this.hasOwnProperty(key)) {
+                this[key] = updates[key];
+            }
+        });
+        this.updatedAt = new Date();
+    }
+
+    appliesTo(vehicle) {
+        const same = (a, b) => a.toLowerCase() === b.toLowerCase();
+        return (!this.manufacturer || same(this.manufacturer, vehicle.manufacturer)) &&
+            (!this.model || same(this.model, vehicle.model));
+    }
+
+    static fromJSON(data) {
+        return Object.assign(Object.create(MaintenancePlan.prototype), data, {
+            createdAt: new Date(data.createdAt),
+            updatedAt: new Date(data.updatedAt)
+        });
+    }
+}
+
+// Service record class
+class ServiceRecord {
+    constructor(vin, data) {
+        this.id = uuidv4();
+        this.vin = vin;
+        this.planId = data.planId || null;
+        this.performedAt = data.performedAt ? new Date(data.performedAt) : new Date();
+        this.odometer = data.odometer !== undefined ? data.odometer : null;
+        this.description = data.description || null;
+        this.workshop = data.workshop || null;
+        this.cost = data.cost !== undefined ? data.cost : null;
+        this.createdAt = new Date();
+    }
+
+    static fromJSON(data) {
+        return Object.assign(Object.create(ServiceRecord.prototype), data, {
+            performedAt: new Date(data.performedAt),
+            createdAt: new Date(data.createdAt)
+        });
+    }
+}
+
+// Driver class
+class Driver {
+    constructor(data) {
+        this.id = uuidv4();
+        this.name = data.name;
+        this.licenseNumber = data.licenseNumber;
+        this.licenseExpiry = data.licenseExpiry ? new Date(data.licenseExpiry) : null;
+        this.phone = data.phone || null;
+        this.email = data.email || null;
+        this.fleetId = data.fleetId || null;
+        this.status = data.status || 'Active';
+        this.createdAt = new Date();
+        this.updatedAt = new Date();
+    }
+
+    update(updates) {
+        Object.keys(updates).forEach(key => {
+            if (!['id', 'createdAt', 'updatedAt'].includes(key) && this.hasOwnProperty(key)) {
+                this[key] = key === 'licenseExpiry' && updates[key] ? new Date(updates[key]) : updates[key];
+            }
+        });
+        this.updatedAt = new Date();
+    }
+
+    static fromJSON(data) {
+        return Object.assign(Object.create(Driver.prototype), data, {
+            licenseExpiry: data.licenseExpiry ? new Date(data.licenseExpiry) : null,
+            createdAt: new Date(data.createdAt),
+            updatedAt: new Date(data.updatedAt)
+        });
+    }
+}
+
+const DRIVER_STATUSES = ['Active', 'Inactive'];
+
+// Driver assignment class
+// A driver drives a vehicle from startAt until endAt; endAt null means still assigned.
+class DriverAssignment {
+    constructor(driverId, vin, startAt, endAt = null) {
+        this.id = uuidv4();
+        this.driverId = driverId;
+        this.vin = vin;
+        this.startAt = startAt;
+        this.endAt = endAt;
+        this.createdAt = new Date();
+    }
+
+    covers(at) {
+        return at >= this.startAt && (!this.endAt || at < this.endAt);
+    }
+
+    // Overlap with [startAt, endAt), where a null end is open-ended
+    overlaps(startAt, endAt) {
+        return (!endAt || this.startAt < endAt) && (!this.endAt || startAt < this.endAt);
+    }
+
+    static fromJSON(data) {
+        return Object.assign(Object.create(DriverAssignment.prototype), data, {
+            startAt: new Date(data.startAt),
+            endAt: data.endAt ? new Date(data.endAt) : null,
+            createdAt: new Date(data.createdAt)
+        });
+    }
+}
+
+// Webhook class
+// Alert changes matching the filters (null = any) are POSTed to `url`, signed with `secret`.
+class Webhook {
+    constructor(data, secret) {
+        this.id = uuidv4();
+        this.name = data.name || null;
+        this.url = data.url;
+        this.secret = secret;
+        this.fleetId = data.fleetId || null;
+        this.types = data.types || null;
+        this.severities = data.severities || null;
+        this.events = data.events || ['opened', 'resolved'];
+        this.enabled = data.enabled !== undefined ? data.enabled : true;
+        this.createdAt = new Date();
+        this.updatedAt = new Date();
+    }
+
+    update(updates) {
+        Object.keys(updates).forEach(key => {
+            if (!['id', 'secret', 'createdAt', 'updatedAt'].includes(key) && this.hasOwnProperty(key)) {
+                this[key] = updates[key];
+            }
+        });
+        this.updatedAt = new Date();
+    }
+
+    matches(action, alert) {
+        if (!this.enabled || !this.events.includes(action)) {
+            return false;
+        }
+        if (this.types && !this.types.includes(alert.type)) {
+            return false;
+        }
+        if (this.severities && !this.severities.includes(alert.severity)) {
+            return false;
+        }
+        const vehicle = vehicles.get(alert.vin);
+        return !this.fleetId || (vehicle && vehicle.fleetId === this.fleetId);
+    }
+
+    // Public view for API responses; the secret is only returned on creation
+    toResponse() {
+        const { secret, ...rest } = this;
+        return rest;
+    }
+
+    static fromJSON(data) {
+        return Object.assign(Object.create(Webhook.prototype), data, {
+            createdAt: new Date(data.createdAt),
+            updatedAt: new Date(data.updatedAt)
+        });
+    }
+}
+
+// Webhook delivery class
+// One payload sent to one webhook, with the outcome of its latest attempt.
+class WebhookDelivery {
+    constructor(webhookId, event, payload, redeliveryOf = null) {
+        this.id = uuidv4();
+        this.webhookId = webhookId;
+        this.event = event;
+        this.payload = payload;
+        this.redeliveryOf = redeliveryOf;
+        this.status = 'pending';
+        this.attempts = 0;
+        this.lastAttemptAt = null;
+        this.nextAttemptAt = new Date();
+        this.responseStatus = null;
+        this.error = null;
+        this.createdAt = new Date();
+    }
+
+    static fromJSON(data) {
+        const toDate = value => value ? new Date(value) : null;
+        return Object.assign(Object.create(WebhookDelivery.prototype), data, {
+            lastAttemptAt: toDate(data.lastAttemptAt),
+            nextAttemptAt: toDate(data.nextAttemptAt),
+            createdAt: new Date(data.createdAt)
+        });
+    }
+}
+
+const WEBHOOK_EVENTS = ['opened', 'updated', 'acknowledged', 'resolved'];
+
+// Data storage
+const repository = createRepository();
+const fleets = repository.collection('fleets', Fleet.fromJSON);
+// Soft-deleted vehicles; their history stays queryable until they are purged
+const archivedVehicles = repository.collection('archivedVehicles', Vehicle.fromJSON);
+// VIN -> Array of fuel events (refuel / drop), oldest first
+const fuelEvents = repository.collection('fuelEvents', events =>
+    events.map(e => ({ ...e, at: new Date(e.at) })));
+// VIN -> Array of audit entries, oldest first; kept after the vehicle is deleted
+const vehicleAudit = repository.collection('vehicleAudit', entries =>
+    entries.map(e => ({ ...e, at: new Date(e.at) })));
+const vehicles = repository.collection('vehicles', Vehicle.fromJSON);
+// VIN -> Array of telemetry records
+const telemetryData = repository.collection('telemetry', records => records.map(TelemetryRecord.fromJSON));
+const alerts = repository.collection('alerts', Alert.fromJSON);
+const alertRules = repository.collection('alertRules', AlertRule.fromJSON);
+const geofences = repository.collection('geofences', Geofence.fromJSON);
+const apiKeys = repository.collection('apiKeys', ApiKey.fromJSON);
+const maintenancePlans = repository.collection('maintenancePlans', MaintenancePlan.fromJSON);
+const serviceRecords = repository.collection('serviceRecords', ServiceRecord.fromJSON);
+const drivers = repository.collection('drivers', Driver.fromJSON);
+const webhooks = repository.collection('webhooks', Webhook.fromJSON);
+const webhookDeliveries = repository.collection('webhookDeliveries', WebhookDelivery.fromJSON);
+const driverAssignments = repository.collection('driverAssignments', DriverAssignment.fromJSON);
+// VIN -> { active: { code -> entry }, cleared: [entry] }
+const diagnostics = repository.collection('diagnostics', reviveDiagnosticState);
+// VIN -> Array of hourly aggregates for raw telemetry past the retention window
+const telemetryAggregates = repository.collection('telemetryAggregates',
+    buckets => buckets.map(b => ({ ...b, start: new Date(b.start), end: new Date(b.end) })));
+
+// Fleets used to be free-text; register the ones existing vehicles and fleet-scoped
+// entries refer to
+[vehicles, drivers, alertRules, geofences, webhooks].forEach(collection => {
+    collection.list().forEach(entry => {
+        if (entry.fleetId && !fleets.has(entry.fleetId)) {
+            fleets.set(entry.fleetId, new Fleet({ id: entry.fleetId, name: entry.fleetId }));
+        }
+    });
+});
+
+if (alertRules.count() === 0) {
+    DEFAULT_ALERT_RULES.forEach(data => {
+        const rule = new AlertRule(data);
+        alertRules.set(rule.id, rule);
+    });
+}
+
+// Active vehicle, or the archived one so history routes keep working after a delete
+function findVehicle(vin) {
+    return vehicles.get(vin) || archivedVehicles.get(vin) || null;
+}
+
+function getTelemetry(vin) {
+    return telemetryData.get(vin) || [];
+}
+
+// History is kept in device-time order; late records are inserted in place
+function appendTelemetry(telemetry) {
+    const history = getTelemetry(telemetry.vin);
+    let index = history.length;
+    while (index > 0 && history[index - 1].timestamp > telemetry.timestamp) {
+        index--;
+    }
+    history.splice(index, 0, telemetry);
+    telemetryData.set(telemetry.vin, history);
+
+    if (telemetry.messageId) {
+        messageIndexFor(telemetry.vin).set(telemetry.messageId, telemetry);
+    }
+
+    fleetEvents.emit('telemetry', telemetry);
+}
+
+function isLatestTelemetry(telemetry) {
+    const history = getTelemetry(telemetry.vin);
+    return history[history.length - 1] === telemetry;
+}
+
+function clearTelemetry(vin) {
+    telemetryData.delete(vin);
+    consumptionModels.delete(vin);
+    fuelEvents.delete(vin);
+    diagnostics.delete(vin);
+    telemetryAggregates.delete(vin);
+    messageIds.delete(vin);
+}
+
+// VIN -> (messageId -> record) lookup used to drop retried uploads; rebuilt from history on demand
+const messageIds = new Map();
+
+function messageIndexFor(vin) {
+    if (!messageIds.has(vin)) {
+        messageIds.set(vin, new Map(
+            getTelemetry(vin).filter(r => r.messageId).map(r => [r.messageId, r])
+        ));
+    }
+    return messageIds.get(vin);
+}
+
+function findTelemetryByMessageId(vin, messageId) {
+    return messageIndexFor(vin).get(messageId) || null;
+}
+
+// Event bus
+// Ingested telemetry ('telemetry') and alert changes ('alert', { action, alert })
+// are published here; the real-time stream subscribes to it.
+const fleetEvents = new EventEmitter();
+fleetEvents.setMaxListeners(0);
+
+function publishAlert(action, alert) {
+    fleetEvents.emit('alert', { action, alert });
+}
+
+// Outbound webhooks
+// Each matching alert change becomes a delivery: a JSON POST with
+//   X-Webhook-Id, X-Webhook-Event, X-Webhook-Delivery, X-Webhook-Timestamp and
+//   X-Webhook-Signature: sha256=HMAC-SHA256(secret, `${timestamp}.${body}`)
+// Any 2xx response is a success; otherwise the attempt is retried with exponential
+// backoff (WEBHOOK_RETRY_BASE_MS * 2^(attempt - 1)) up to WEBHOOK_MAX_ATTEMPTS.
+
+const WEBHOOK_MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS || 6);
+const WEBHOOK_RETRY_BASE_MS = Number(process.env.WEBHOOK_RETRY_BASE_MS || 1000);
+const WEBHOOK_TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS || 10000);
+// Finished deliveries kept per webhook for the delivery log
+const MAX_WEBHOOK_DELIVERIES = 500;
+
+// deliveryId -> pending retry timer
+const deliveryTimers = new Map();
+
+function signWebhookPayload(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function deliveriesFor(webhookId) {
+    return webhookDeliveries.list()
+        .filter(d => d.webhookId === webhookId)
+        .sort((a, b) => b.createdAt - a.createdAt);
+}
+
+function pruneDeliveries(webhookId) {
+    deliveriesFor(webhookId)
+        .filter(d => d.status !== 'pending')
+        .slice(MAX_WEBHOOK_DELIVERIES)
+        .forEach(d => webhookDeliveries.delete(d.id));
+}
+
+function scheduleDelivery(delivery) {
+    clearTimeout(deliveryTimers.get(delivery.id));
+    const delay = Math.max(0, new Date(delivery.nextAttemptAt) - Date.now());
+    const timer = setTimeout(() => {
+        deliveryTimers.delete(delivery.id);
+        attemptDelivery(delivery).catch(error => console.error('Webhook delivery failed:', error));
+    }, delay);
+    timer.unref();
+    deliveryTimers.set(delivery.id, timer);
+}
+
+function cancelDeliveries(webhookId) {
+    deliveriesFor(webhookId).forEach(d => {
+        clearTimeout(deliveryTimers.get(d.id));
+        deliveryTimers.delete(d.id);
+    });
+}
+
+async function attemptDelivery(delivery) {
+    const webhook = webhooks.get(delivery.webhookId);
+    if (!webhook || !webhook.enabled) {
+        delivery.status = 'failed';
+        delivery.nextAttemptAt = null;
+        delivery.error = webhook ? 'Webhook disabled' : 'Webhook deleted';
+        if (webhook) {
+            webhookDeliveries.set(delivery.id, delivery);
+        }
+        return delivery;
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    delivery.attempts++;
+    delivery.lastAttemptAt = new Date();
+
+    try {
+        const response = await fetch(webhook.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'fleet-management-webhooks',
+                'X-Webhook-Id': webhook.id,
+                'X-Webhook-Event': delivery.event,
+                'X-Webhook-Delivery': delivery.id,
+                'X-Webhook-Timestamp': String(timestamp),
+                'X-Webhook-Signature': `sha256=${signWebhookPayload(webhook.secret, timestamp, body)}`
+            },
+            body,
+            redirect: 'manual',
+            signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+        });
+        delivery.responseStatus = response.status;
+        delivery.error = response.ok ? null : `Receiver responded with HTTP ${response.status}`;
+    } catch (error) {
+        delivery.responseStatus = null;
+        delivery.error = error.cause ? error.cause.message : error.message;
+    }
+
+    if (!delivery.error) {
+        delivery.status = 'succeeded';
+        delivery.nextAttemptAt = null;
+    } else if (delivery.attempts >= WEBHOOK_MAX_ATTEMPTS) {
+        delivery.status = 'failed';
+        delivery.nextAttemptAt = null;
+    } else {
+        delivery.nextAttemptAt = new Date(Date.now() + WEBHOOK_RETRY_BASE_MS * 2 ** (delivery.attempts - 1));
+        scheduleDelivery(delivery);
+    }
+
+    // The webhook may have been deleted while the request was in flight
+    if (webhooks.has(delivery.webhookId)) {
+        webhookDeliveries.set(delivery.id, delivery);
+    }
+    return delivery;
+}
+
+function enqueueDelivery(webhook, event, data, redeliveryOf = null) {
+    const delivery = new WebhookDelivery(webhook.id, event, null, redeliveryOf);
+    // Snapshot the data: the alert keeps changing after the event was raised
+    delivery.payload = { id: delivery.id, event, createdAt: delivery.createdAt, data: JSON.parse(JSON.stringify(data)) };
+    webhookDeliveries.set(delivery.id, delivery);
+    pruneDeliveries(webhook.id);
+    scheduleDelivery(delivery);
+    return delivery;
+}
+
+fleetEvents.on('alert', ({ action, alert }) => {
+    webhooks.list()
+        .filter(webhook => webhook.matches(action, alert))
+        .forEach(webhook => enqueueDelivery(webhook, `alert.${action}`, alert));
+});
+
+// Geo helpers
+
+// Great-circle distance between two { latitude, longitude } points in km
+function haversineDistance(a, b) {
+    const toRad = deg => deg * Math.PI / 180;
+    const R = 6371;
+    const dLat = toRad(b.latitude - a.latitude);
+    const dLon = toRad(b.longitude - a.longitude);
+    const h = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRad(a.latitude)) * Math.cos(toRad(b.latitude)) * Math.sin(dLon / 2) ** 2;
+    return 2 * R * Math.asin(Math.sqrt(h));
+}
+
+function hasCoordinates(location) {
+    return location &&
+        typeof location.latitude === 'number' &&
+        typeof location.longitude === 'number';
+}
+
+// Ray casting; adequate for geofences that do not span the antimeridian
+function pointInPolygon(location, points) {
+    let inside = false;
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+        const a = points[i];
+        const b = points[j];
+        const crosses = (a.latitude > location.latitude) !== (b.latitude > location.latitude) &&
+            location.longitude < (b.longitude - a.longitude) * (location.latitude - a.latitude) /
+                (b.latitude - a.latitude) + a.longitude;
+        if (crosses) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+// Alert generation logic
+
+// Rules that govern a vehicle: for each alert type only the most specific scope applies,
+// so a fleet can override a global threshold instead of adding a second alert on top of it
+function rulesForVehicle(vehicle) {
+    const byType = new Map();
+
+    alertRules.list()
+        .filter(rule => rule.enabled && rule.appliesTo(vehicle))
+        .forEach(rule => {
+            const current = byType.get(rule.type);
+            if (!current || rule.specificity() > current[0].specificity()) {
+                byType.set(rule.type, [rule]);
+            } else if (rule.specificity() === current[0].specificity()) {
+                current.push(rule);
+            }
+        });
+
+    // Fleet default thresholds rank between global/manufacturer rules and explicit fleet rules
+    fleetThresholdRules(vehicle && fleets.get(vehicle.fleetId)).forEach(rule => {
+        const current = byType.get(rule.type);
+        if (!current || current[0].specificity() < rule.specificity()) {
+            byType.set(rule.type, [rule]);
+        }
+    });
+
+    return byType;
+}
+
+// Unstored rules built from a fleet's defaultThresholds, with stable ids for alert details
+function fleetThresholdRules(fleet) {
+    if (!fleet) {
+        return [];
+    }
+
+    return Object.entries(fleet.defaultThresholds || {})
+        .filter(([key, threshold]) => FLEET_THRESHOLDS[key] && typeof threshold === 'number')
+        .map(([key, threshold]) => {
+            const template = FLEET_THRESHOLDS[key];
+            const rule = new AlertRule({
+                ...template,
+                name: `${fleet.name} ${template.name.toLowerCase()}`,
+                threshold,
+                fleetId: fleet.id
+            });
+            rule.id = `fleet:${fleet.id}:${key}`;
+            return rule;
+        });
+}
+
+// Open or refresh the alert for an ongoing condition
+// `details` (e.g. ruleId, geofenceId) is attached to a newly opened alert
+function raiseAlert(outcome, { vin, type, key = type, message, severity, at, details = {} }) {
+    const existing = findOpenAlert(vin, key);
+
+    if (existing) {
+        existing.recordOccurrence(message, severity, at);
+        alerts.set(existing.id, existing);
+        outcome.updated.push(existing);
+        publishAlert('updated', existing);
+        return existing;
+    }
+
+    const alert = new Alert(vin, type, message, severity, key);
+    alert.timestamp = at;
+    alert.lastSeen = at;
+    alert.driverId = driverIdAt(vin, at);
+    Object.assign(alert, details);
+    alerts.set(alert.id, alert);
+    indexOpenAlert(alert);
+    outcome.opened.push(alert);
+    publishAlert('opened', alert);
+    return alert;
+}
+
+// Auto-resolve the open alert for a condition that is no longer present
+function clearAlert(outcome, vin, key, at) {
+    const existing = findOpenAlert(vin, key);
+    if (!existing) {
+        return null;
+    }
+
+    existing.transitionTo('Resolved', 'system', at);
+    alerts.set(existing.id, existing);
+    indexOpenAlert(existing);
+    outcome.resolved.push(existing);
+    publishAlert('resolved', existing);
+    return existing;
+}
+
+// "vin:key" -> id of the open alert for that condition, so rule evaluation does not
+// scan the whole alert history. Built from storage on first use.
+let openAlertIndex = null;
+
+function openAlertIndexKey(vin, key) {
+    return `${vin}:${key}`;
+}
+
+// Call after an alert was opened or changed status
+function indexOpenAlert(alert) {
+    if (!openAlertIndex) {
+        return;
+    }
+    const indexKey = openAlertIndexKey(alert.vin, alert.key);
+    if (alert.isOpen()) {
+        openAlertIndex.set(indexKey, alert.id);
+    } else if (openAlertIndex.get(indexKey) === alert.id) {
+        openAlertIndex.delete(indexKey);
+    }
+}
+
+function findOpenAlert(vin, key) {
+    if (!openAlertIndex) {
+        openAlertIndex = new Map();
+        alerts.list()
+            .filter(a => a.isOpen())
+            .forEach(a => openAlertIndex.set(openAlertIndexKey(a.vin, a.key), a.id));
+    }
+    const indexKey = openAlertIndexKey(vin, key);
+    const alert = alerts.get(openAlertIndex.get(indexKey));
+    // Alerts resolved or deleted without going through indexOpenAlert drop out here
+    if (!alert || !alert.isOpen()) {
+        openAlertIndex.delete(indexKey);
+        return undefined;
+    }
+    return alert;
+}
+
+function createAlertOutcome() {
+    return { opened: [], updated: [], resolved: [] };
+}
+
+function mergeAlertOutcome(target, source) {
+    target.opened.push(...source.opened);
+    target.updated.push(...source.updated);
+    target.resolved.push(...source.resolved);
+    return target;
+}
+
+function generateAlerts(telemetry) {
+    const outcome = createAlertOutcome();
+    const vehicle = vehicles.get(telemetry.vin);
+    const at = telemetry.timestamp;
+    // A late, out-of-order record can still open alerts for when it happened, but
+    // only the newest reading of a VIN says whether a condition is over
+    const isLatest = isLatestTelemetry(telemetry);
+    const reading = withDerivedFields(telemetry, vehicle);
+
+    rulesForVehicle(vehicle).forEach((rules, type) => {
+        // Without a reading for any of the watched fields we cannot tell whether the condition persists
+        const evaluable = rules.filter(rule => typeof reading[rule.field] === 'number');
+        if (evaluable.length === 0) {
+            return;
+        }
+
+        // At most one alert per type; the most severe matching rule wins
+        const triggered = evaluable
+            .filter(rule => rule.matches(reading))
+            .sort((a, b) => ALERT_SEVERITIES.indexOf(b.severity) - ALERT_SEVERITIES.indexOf(a.severity))[0];
+
+        if (!triggered) {
+            if (isLatest) {
+                clearAlert(outcome, telemetry.vin, type, at);
+            }
+            return;
+        }
+
+        raiseAlert(outcome, {
+            vin: telemetry.vin,
+            type: triggered.type,
+            message: `Vehicle ${telemetry.vin} ${triggered.name}: ${triggered.field} ${reading[triggered.field]} ${triggered.operator} ${triggered.threshold}`,
+            severity: triggered.severity,
+            at,
+            details: { ruleId: triggered.id }
+        });
+    });
+    
+    if (isLatest) {
+        evaluateFuel(telemetry, vehicle, outcome);
+        evaluateGeofences(telemetry, vehicle, outcome);
+        evaluateDiagnostics(telemetry, outcome);
+        clearAlert(outcome, telemetry.vin, 'NO_SIGNAL', at);
+        if (typeof telemetry.odometer === 'number') {
+            evaluateMaintenance(vehicle, outcome, at);
+        }
+    }
+    
+    return outcome;
+}
+
+// Most recent earlier record for the VIN that carried a GPS fix
+function previousLocatedRecord(telemetry) {
+    const history = getTelemetry(telemetry.vin);
+    for (let i = history.length - 1; i >= 0; i--) {
+        const record = history[i];
+        if (record !== telemetry && record.timestamp <= telemetry.timestamp && hasCoordinates(record.location)) {
+            return record;
+        }
+    }
+    return null;
+}
+
+// Compare the current and previous GPS fix against each geofence and raise
+// GEOFENCE_ENTER / GEOFENCE_EXIT when the vehicle crossed its boundary
+function evaluateGeofences(telemetry, vehicle, outcome) {
+    if (!hasCoordinates(telemetry.location)) {
+        return;
+    }
+
+    const previous = previousLocatedRecord(telemetry);
+    if (!previous) {
+        return;
+    }
+
+    geofences.list()
+        .filter(fence => fence.appliesTo(vehicle))
+        .forEach(fence => {
+            const wasInside = fence.contains(previous.location);
+            const isInside = fence.contains(telemetry.location);
+            if (wasInside === isInside) {
+                return;
+            }
+
+            const type = isInside ? 'GEOFENCE_ENTER' : 'GEOFENCE_EXIT';
+            const oppositeType = isInside ? 'GEOFENCE_EXIT' : 'GEOFENCE_ENTER';
+
+            // Crossing back closes the alert for the opposite movement
+            clearAlert(outcome, telemetry.vin, `${oppositeType}:${fence.id}`, telemetry.timestamp);
+
+            if ((isInside && !fence.alertOnEnter) || (!isInside && !fence.alertOnExit)) {
+                return;
+            }
+
+            raiseAlert(outcome, {
+                vin: telemetry.vin,
+                type,
+                key: `${type}:${fence.id}`,
+                message: `Vehicle ${telemetry.vin} ${isInside ? 'entered' : 'left'} geofence ${fence.name}`,
+                severity: fence.severity,
+                at: telemetry.timestamp,
+                details: { geofenceId: fence.id }
+            });
+        });
+}
+
+// Diagnostic trouble codes (OBD-II)
+// Codes look like P0301: system letter, a digit 0-3 telling generic (SAE) from
+// manufacturer specific codes, then a subsystem character and a two-character fault number.
+
+const DTC_PATTERN = /^[PBCU][0-3][0-9A-F]{3}$/;
+
+const DTC_SYSTEMS = {
+    P: 'Powertrain',
+    B: 'Body',
+    C: 'Chassis',
+    U: 'Network'
+};
+
+const POWERTRAIN_SUBSYSTEMS = {
+    0: 'Fuel and air metering and auxiliary emission controls',
+    1: 'Fuel and air metering',
+    2: 'Fuel and air metering (injector circuit)',
+    3: 'Ignition system or misfire',
+    4: 'Auxiliary emission controls',
+    5: 'Vehicle speed controls and idle control system',
+    6: 'Computer output circuit',
+    7: 'Transmission',
+    8: 'Transmission',
+    9: 'Transmission',
+    A: 'Hybrid propulsion',
+    B: 'Hybrid propulsion',
+    C: 'Hybrid propulsion'
+};
+
+// Frequently seen generic codes; anything else is decoded from its structure
+const DTC_DEFINITIONS = {
+    P0100: { description: 'Mass or volume air flow circuit malfunction', severity: 'Medium' },
+    P0101: { description: 'Mass or volume air flow circuit range/performance problem', severity: 'Medium' },
+    P0110: { description: 'Intake air temperature circuit malfunction', severity: 'Low' },
+    P0115: { description: 'Engine coolant temperature circuit malfunction', severity: 'Medium' },
+    P0128: { description: 'Coolant thermostat below regulating temperature', severity: 'Low' },
+    P0130: { description: 'O2 sensor circuit malfunction (bank 1 sensor 1)', severity: 'Low' },
+    P0171: { description: 'System too lean (bank 1)', severity: 'Medium' },
+    P0172: { description: 'System too rich (bank 1)', severity: 'Medium' },
+    P0217: { description: 'Engine overtemperature condition', severity: 'Critical' },
+    P0219: { description: 'Engine overspeed condition', severity: 'High' },
+    P0300: { description: 'Random/multiple cylinder misfire detected', severity: 'High' },
+    P0301: { description: 'Cylinder 1 misfire detected', severity: 'High' },
+    P0302: { description: 'Cylinder 2 misfire detected', severity: 'High' },
+    P0303: { description: 'Cylinder 3 misfire detected', severity: 'High' },
+    P0304: { description: 'Cylinder 4 misfire detected', severity: 'High' },
+    P0335: { description: 'Crankshaft position sensor A circuit malfunction', severity: 'High' },
+    P0340: { description: 'Camshaft position sensor circuit malfunction', severity: 'High' },
+    P0420: { description: 'Catalyst system efficiency below threshold (bank 1)', severity: 'Medium' },
+    P0440: { description: 'Evaporative emission control system malfunction', severity: 'Low' },
+    P0442: { description: 'Evaporative emission control system leak detected (small leak)', severity: 'Low' },
+    P0455: { description: 'Evaporative emission control system leak detected (large leak)', severity: 'Medium' },
+    P0500: { description: 'Vehicle speed sensor malfunction', severity: 'Medium' },
+    P0505: { description: 'Idle control system malfunction', severity: 'Medium' },
+    P0520: { description: 'Engine oil pressure sensor/switch circuit malfunction', severity: 'High' },
+    P0524: { description: 'Engine oil pressure too low', severity: 'Critical' },
+    P0562: { description: 'System voltage low', severity: 'Medium' },
+    P0600: { description: 'Serial communication link malfunction', severity: 'Medium' },
+    P0700: { description: 'Transmission control system malfunction', severity: 'High' },
+    P0715: { description: 'Input/turbine speed sensor circuit malfunction', severity: 'High' },
+    P0A80: { description: 'Replace hybrid battery pack', severity: 'High' },
+    B0001: { description: 'Driver frontal stage 1 deployment control', severity: 'Critical' },
+    B0100: { description: 'Electronic frontal sensor 1', severity: 'High' },
+    C0035: { description: 'Left front wheel speed sensor circuit', severity: 'High' },
+    C0040: { description: 'Right front wheel speed sensor circuit', severity: 'High' },
+    C0265: { description: 'ABS motor relay circuit', severity: 'High' },
+    U0100: { description: 'Lost communication with ECM/PCM A', severity: 'High' },
+    U0121: { description: 'Lost communication with anti-lock brake system module', severity: 'High' },
+    U0140: { description: 'Lost communication with body control module', severity: 'Medium' }
+};
+
+function normalizeDtc(code) {
+    return typeof code === 'string' ? code.trim().toUpperCase() : code;
+}
+
+function decodeDtc(rawCode) {
+    const code = normalizeDtc(rawCode);
+    if (!DTC_PATTERN.test(code)) {
+        return null;
+    }
+
+    const system = DTC_SYSTEMS[code[0]];
+    // P1 and P30-P33 are manufacturer specific; for B, C and U it is 1 and 2
+    const manufacturerSpecific = code[0] === 'P' ?
+        code[1] === '1' || (code[1] === '3' && '0123'.includes(code[2])) :
+        code[1] === '1' || code[1] === '2';
+    const subsystem = code[0] === 'P' ? POWERTRAIN_SUBSYSTEMS[code[2]] || null : null;
+    const known = DTC_DEFINITIONS[code];
+
+    // Unknown codes fall back to a generic description; misfire and transmission faults rank higher
+    const fallbackSeverity = code[0] === 'P' && ['3', '7', '8', '9'].includes(code[2]) ? 'High' : 'Medium';
+
+    return {
+        code,
+        system,
+        type: manufacturerSpecific ? 'Manufacturer specific' : 'Generic',
+        subsystem,
+        description: known ? known.description :
+            `${manufacturerSpecific ? 'Manufacturer specific' : 'Generic'} ${system.toLowerCase()} fault${subsystem ? ` (${subsystem.toLowerCase()})` : ''}`,
+        severity: known ? known.severity : fallbackSeverity,
+        known: Boolean(known)
+    };
+}
+
+function reviveDiagnosticState(state) {
+    const revive = entry => ({
+        ...entry,
+        firstSeen: new Date(entry.firstSeen),
+        lastSeen: new Date(entry.lastSeen),
+        clearedAt: entry.clearedAt ? new Date(entry.clearedAt) : null
+    });
+    const active = {};
+    Object.entries(state.active || {}).forEach(([code, entry]) => {
+        active[code] = revive(entry);
+    });
+    return { active, cleared: (state.cleared || []).map(revive) };
+}
+
+// Cleared history kept per vehicle
+const MAX_CLEARED_DTC_HISTORY = 200;
+
+// Compare the reported code list with the active set: new codes raise DIAGNOSTIC_CODE,
+// codes no longer reported are moved to the cleared history and their alert resolved
+function evaluateDiagnostics(telemetry, outcome) {
+    if (!Array.isArray(telemetry.diagnosticCodes)) {
+        return;
+    }
+
+    const vin = telemetry.vin;
+    const at = telemetry.timestamp;
+    const state = diagnostics.get(vin) || { active: {}, cleared: [] };
+    const reported = new Set(telemetry.diagnosticCodes);
+
+    reported.forEach(code => {
+        if (state.active[code]) {
+            state.active[code].lastSeen = at;
+            return;
+        }
+
+        const decoded = decodeDtc(code);
+        state.active[code] = { ...decoded, firstSeen: at, lastSeen: at, clearedAt: null };
+
+        raiseAlert(outcome, {
+            vin,
+            type: 'DIAGNOSTIC_CODE',
+            key: `DIAGNOSTIC_CODE:${code}`,
+            message: `Vehicle ${vin} reported diagnostic code ${code}: ${decoded.description}`,
+            severity: decoded.severity,
+            at,
+            details: { diagnosticCode: code }
+        });
+    });
+
+    Object.keys(state.active).forEach(code => {
+        if (reported.has(code)) {
+            return;
+        }
+        state.cleared.unshift({ ...state.active[code], clearedAt: at });
+        delete state.active[code];
+        clearAlert(outcome, vin, `DIAGNOSTIC_CODE:${code}`, at);
+    });
+
+    state.cleared = state.cleared.slice(0, MAX_CLEARED_DTC_HISTORY);
+    diagnostics.set(vin, state);
+}
+
+// Preventive maintenance
+
+// How close to a due point a plan is reported as due soon
+const MAINTENANCE_DUE_SOON = { km: 500, days: 7, engineHours: 10 };
+
+function latestOdometer(vin) {
+    const history = getTelemetry(vin);
+    for (let i = history.length - 1; i >= 0; i--) {
+        if (typeof history[i].odometer === 'number') {
+            return { odometer: history[i].odometer, at: history[i].timestamp };
+        }
+    }
+    return null;
+}
+
+function earliestOdometer(vin, since) {
+    const reading = telemetryInRange(vin, since, null).find(r => typeof r.odometer === 'number');
+    return reading ? reading.odometer : null;
+}
+
+// Engine running time since a date, summed between consecutive records (idle gaps excluded)
+function engineHoursSince(vin, since) {
+    const records = telemetryInRange(vin, since, null);
+    let ms = 0;
+    for (let i = 1; i < records.length; i++) {
+        const gap = records[i].timestamp - records[i - 1].timestamp;
+        if (isEngineOn(records[i - 1]) && gap <= TRIP_IDLE_GAP_MS) {
+            ms += gap;
+        }
+    }
+    return roundTo(ms / HOUR_MS);
+}
+
+function serviceRecordsFor(vin) {
+    return serviceRecords.list()
+        .filter(r => r.vin === vin)
+        .sort((a, b) => b.performedAt - a.performedAt);
+}
+
+// Where a vehicle stands against one plan. Intervals count from the last service
+// for the plan, or from when the vehicle was registered if it has none yet.
+function maintenanceStatus(vehicle, plan, now = new Date()) {
+    const lastService = serviceRecordsFor(vehicle.vin).find(r => r.planId === plan.id) || null;
+    const since = lastService ? lastService.performedAt : new Date(vehicle.createdAt);
+    const current = latestOdometer(vehicle.vin);
+    const checks = [];
+
+    if (plan.intervalKm) {
+        const baseline = lastService && typeof lastService.odometer === 'number' ?
+            lastService.odometer : earliestOdometer(vehicle.vin, since);
+        if (baseline !== null && current) {
+            const dueAt = baseline + plan.intervalKm;
+            checks.push({
+                unit: 'km',
+                dueAt,
+                remaining: roundTo(dueAt - current.odometer),
+                dueSoonMargin: MAINTENANCE_DUE_SOON.km
+            });
+        }
+    }
+
+    if (plan.intervalDays) {
+        const dueAt = new Date(since.getTime() + plan.intervalDays * 24 * HOUR_MS);
+        checks.push({
+            unit: 'days',
+            dueAt,
+            remaining: roundTo((dueAt - now) / (24 * HOUR_MS)),
+            dueSoonMargin: MAINTENANCE_DUE_SOON.days
+        });
+    }
+
+    if (plan.intervalEngineHours) {
+        const used = engineHoursSince(vehicle.vin, since);
+        checks.push({
+            unit: 'engineHours',
+            dueAt: plan.intervalEngineHours,
+            remaining: roundTo(plan.intervalEngineHours - used),
+            dueSoonMargin: MAINTENANCE_DUE_SOON.engineHours
+        });
+    }
+
+    let status = 'ok';
+    if (checks.some(c => c.remaining <= 0)) {
+        status = 'overdue';
+    } else if (checks.some(c => c.remaining <= c.dueSoonMargin)) {
+        status = 'due_soon';
+    }
+
+    return {
+        planId: plan.id,
+        planName: plan.name,
+        status,
+        lastService,
+        currentOdometer: current ? current.odometer : null,
+        nextDue: checks.map(({ dueSoonMargin, ...check }) => check)
+    };
+}
+
+function maintenanceForVehicle(vehicle, now = new Date()) {
+    return maintenancePlans.list()
+        .filter(plan => plan.appliesTo(vehicle))
+        .map(plan => maintenanceStatus(vehicle, plan, now));
+}
+
+// Raise MAINTENANCE_DUE per plan that is due soon or overdue, resolve it once serviced
+function evaluateMaintenance(vehicle, outcome, at = new Date()) {
+    if (!vehicle) {
+        return;
+    }
+
+    maintenanceForVehicle(vehicle, at).forEach(item => {
+        const key = `MAINTENANCE_DUE:${item.planId}`;
+        if (item.status === 'ok') {
+            clearAlert(outcome, vehicle.vin, key, at);
+            return;
+        }
+
+        const due = item.nextDue.map(c => `${c.remaining} ${c.unit}`).join(', ');
+        raiseAlert(outcome, {
+            vin: vehicle.vin,
+            type: 'MAINTENANCE_DUE',
+            key,
+            message: item.status === 'overdue' ?
+                `Vehicle ${vehicle.vin} is overdue for ${item.planName} (remaining: ${due})` :
+                `Vehicle ${vehicle.vin} is due soon for ${item.planName} (remaining: ${due})`,
+            severity: item.status === 'overdue' ? 'High' : 'Medium',
+            at,
+            details: { planId: item.planId }
+        });
+    });
+}
+
+// Vehicle audit trail
+// Every create, update and delete of a vehicle is recorded with the acting API key
+// and the list of changed fields ({ field, from, to }).
+
+const VEHICLE_EDITABLE_FIELDS = ['manufacturer', 'model', 'fleetId', 'owner', 'registrationStatus', 'fuelTankCapacity', 'batteryCapacityKwh'];
+// Accepted in an update body (e.g. a GET response sent back) but never changed;
+// includes the fields GET derives (connectivity) or sets on deleted vehicles
+const VEHICLE_READONLY_FIELDS = ['vin', 'createdAt', 'updatedAt', 'connectivity', 'deletedAt', 'statusBeforeDeletion'];
+
+function auditActor(principal) {
+    return principal ? { id: principal.id, name: principal.name, role: principal.role } : { id: 'system', name: 'system', role: null };
+}
+
+function recordVehicleAudit(vin, action, principal, changes) {
+    const entries = vehicleAudit.get(vin) || [];
+    const entry = { id: uuidv4(), vin, action, at: new Date(), actor: auditActor(principal), changes };
+    entries.push(entry);
+    vehicleAudit.set(vin, entries);
+    return entry;
+}
+
+function diffVehicle(before, after) {
+    return VEHICLE_EDITABLE_FIELDS
+        .filter(field => before[field] !== after[field])
+        .map(field => ({
+            field,
+            from: before[field] === undefined ? null : before[field],
+            to: after[field] === undefined ? null : after[field]
+        }));
+}
+
+// Optimistic concurrency token derived from updatedAt
+function vehicleETag(vehicle) {
+    return `"${new Date(vehicle.updatedAt).getTime()}"`;
+}
+
+// True when the request has no If-Match or one of its tags matches the vehicle
+function ifMatchSatisfied(req, vehicle) {
+    const header = req.get('If-Match');
+    if (!header) {
+        return true;
+    }
+    const etag = vehicleETag(vehicle);
+    return header.split(',').map(tag => tag.trim()).some(tag => tag === '*' || tag === etag);
+}
+
+// Drivers
+// Telemetry and alerts carry the driverId of the assignment that covered their
+// timestamp. Assignments may be recorded after the fact, so creating or ending
+// one re-attributes whatever was already stored inside its window.
+
+function assignmentsForVehicle(vin) {
+    return driverAssignments.list()
+        .filter(a => a.vin === vin)
+        .sort((a, b) => b.startAt - a.startAt);
+}
+
+function assignmentsForDriver(driverId) {
+    return driverAssignments.list()
+        .filter(a => a.driverId === driverId)
+        .sort((a, b) => b.startAt - a.startAt);
+}
+
+function driverIdAt(vin, at) {
+    const assignment = driverAssignments.list().find(a => a.vin === vin && a.covers(at));
+    return assignment ? assignment.driverId : null;
+}
+
+// Refresh driverId on the stored telemetry and alerts of a VIN between from and to (null = open)
+function attributeDriver(vin, from, to) {
+    const history = getTelemetry(vin);
+    let changed = false;
+    telemetryInRange(vin, from, to).forEach(record => {
+        const driverId = driverIdAt(vin, record.timestamp);
+        if (record.driverId !== driverId) {
+            record.driverId = driverId;
+            changed = true;
+        }
+    });
+    if (changed) {
+        telemetryData.set(vin, history);
+    }
+
+    alerts.list()
+        .filter(a => a.vin === vin && a.timestamp >= from && (!to || a.timestamp <= to))
+        .forEach(alert => {
+            const driverId = driverIdAt(vin, alert.timestamp);
+            if (alert.driverId !== driverId) {
+                alert.driverId = driverId;
+                alerts.set(alert.id, alert);
+            }
+        });
+}
+
+// Record an assignment. An open-ended assignment taking over from an open assignment of
+// the same vehicle or driver that started earlier is a handover, which ends the earlier
+// one at startAt; any other overlap (including a bounded assignment inside an open one)
+// is a conflict. Returns { assignment, ended } or { conflict }.
+function assignDriver(driverId, vin, startAt, endAt) {
+    const overlapping = driverAssignments.list()
+        .filter(a => (a.vin === vin || a.driverId === driverId) && a.overlaps(startAt, endAt));
+
+    const conflict = overlapping.find(a => endAt || a.endAt || a.startAt >= startAt);
+    if (conflict) {
+        return { conflict };
+    }
+
+    overlapping.forEach(previous => {
+        previous.endAt = startAt;
+        driverAssignments.set(previous.id, previous);
+    });
+
+    const assignment = new DriverAssignment(driverId, vin, startAt, endAt);
+    driverAssignments.set(assignment.id, assignment);
+    attributeDriver(vin, startAt, endAt);
+    // A handover on another vehicle leaves its records after startAt without a driver
+    new Set(overlapping.map(previous => previous.vin))
+        .forEach(previousVin => {
+            if (previousVin !== vin) {
+                attributeDriver(previousVin, startAt, null);
+            }
+        });
+
+    return { assignment, ended: overlapping };
+}
+
+// Trips driven by a driver: the vehicle telemetry inside each of its assignments
+function tripsForDriver(driverId) {
+    return assignmentsForDriver(driverId)
+        .flatMap(assignment => detectTrips(telemetryInRange(assignment.vin, assignment.startAt, assignment.endAt))
+            .map(trip => ({ ...trip, driverId })))
+        .sort((a, b) => a.startTime - b.startTime);
+}
+
+// Connectivity
+// Devices report about every 30 seconds. A vehicle whose newest telemetry is older
+// than NO_SIGNAL_MINUTES is offline; Active vehicles that go offline get a NO_SIGNAL
+// alert from the background check, resolved by the next telemetry record.
+
+const NO_SIGNAL_AFTER_MS = Number(process.env.NO_SIGNAL_MINUTES || 5) * 60 * 1000;
+const NO_SIGNAL_CHECK_MS = Number(process.env.NO_SIGNAL_CHECK_SECONDS || 60) * 1000;
+
+function connectivityStatus(vehicle, now = new Date()) {
+    const history = getTelemetry(vehicle.vin);
+    const lastSeen = history.length > 0 ? new Date(history[history.length - 1].timestamp) : null;
+    const silentForMs = lastSeen ? Math.max(0, now - lastSeen) : null;
+
+    let status = 'never_reported';
+    if (lastSeen) {
+        status = silentForMs > NO_SIGNAL_AFTER_MS ? 'offline' : 'online';
+    }
+
+    return {
+        status,
+        lastSeen,
+        silentForSeconds: lastSeen ? Math.round(silentForMs / 1000) : null,
+        noSignalAfterSeconds: NO_SIGNAL_AFTER_MS / 1000
+    };
+}
+
+// Vehicles that never reported are left alone; their device may not be installed yet
+function checkConnectivity(now = new Date()) {
+    const outcome = createAlertOutcome();
+
+    vehicles.list().forEach(vehicle => {
+        const connectivity = connectivityStatus(vehicle, now);
+        const key = 'NO_SIGNAL';
+
+        // Vehicles in maintenance or decommissioned are not expected to report
+        if (vehicle.registrationStatus !== 'Active') {
+            clearAlert(outcome, vehicle.vin, key, now);
+            return;
+        }
+
+        // One alert per outage; the check runs every minute and should not bump occurrences
+        if (connectivity.status !== 'offline' || findOpenAlert(vehicle.vin, key)) {
+            return;
+        }
+
+        raiseAlert(outcome, {
+            vin: vehicle.vin,
+            type: 'NO_SIGNAL',
+            key,
+            message: `Vehicle ${vehicle.vin} has not reported since ${connectivity.lastSeen.toISOString()}`,
+            severity: 'Medium',
+            at: now,
+            details: { lastTelemetryAt: connectivity.lastSeen }
+        });
+    });
+
+    return outcome;
+}
+
+// Fuel events
+// Each fuel reading that is the vehicle's newest is compared with the previous one (late
+// records are skipped, like geofences, so they cannot rewrite logged events). A rise of at least
+// FUEL_REFUEL_MIN_PERCENT is a refuel; a drop of at least FUEL_DROP_MIN_PERCENT while
+// the vehicle stood still (speed 0 or engine Off on both readings) is a suspected
+// theft or leak and raises FUEL_ANOMALY. Anomalies stay open until a user resolves them.
+
+const FUEL_REFUEL_MIN_PERCENT = Number(process.env.FUEL_REFUEL_MIN_PERCENT || 10);
+const FUEL_DROP_MIN_PERCENT = Number(process.env.FUEL_DROP_MIN_PERCENT || 5);
+
+function isStationary(record) {
+    return !isEngineOn(record) || record.speed === 0;
+}
+
+function previousFuelRecord(telemetry) {
+    const history = getTelemetry(telemetry.vin);
+    for (let i = history.lastIndexOf(telemetry) - 1; i >= 0; i--) {
+        if (typeof history[i].fuelLevel === 'number') {
+            return history[i];
+        }
+    }
+    return null;
+}
+
+// 'refuel', 'drop' or null for ordinary consumption and sensor noise
+function classifyFuelChange(prev, curr) {
+    const change = curr.fuelLevel - prev.fuelLevel;
+    if (change >= FUEL_REFUEL_MIN_PERCENT) {
+        return 'refuel';
+    }
+    if (-change >= FUEL_DROP_MIN_PERCENT && isStationary(prev) && isStationary(curr)) {
+        return 'drop';
+    }
+    return null;
+}
+
+function litresFor(vehicle, percent) {
+    return vehicle && vehicle.fuelTankCapacity ? roundTo(vehicle.fuelTankCapacity * percent / 100) : null;
+}
+
+function fuelEventsInRange(vin, from, to) {
+    return (fuelEvents.get(vin) || []).filter(e => (!from || e.at >= from) && (!to || e.at <= to));
+}
+
+function evaluateFuel(telemetry, vehicle, outcome) {
+    if (typeof telemetry.fuelLevel !== 'number') {
+        return;
+    }
+
+    const prev = previousFuelRecord(telemetry);
+    const type = prev ? classifyFuelChange(prev, telemetry) : null;
+    if (!type) {
+        return;
+    }
+
+    const changePercent = roundTo(telemetry.fuelLevel - prev.fuelLevel);
+    const event = {
+        id: uuidv4(),
+        vin: telemetry.vin,
+        type,
+        at: telemetry.timestamp,
+        fromLevel: prev.fuelLevel,
+        toLevel: telemetry.fuelLevel,
+        changePercent,
+        liters: litresFor(vehicle, Math.abs(changePercent)),
+        engineStatus: telemetry.engineStatus,
+        location: telemetry.location || null,
+        driverId: telemetry.driverId || null
+    };
+
+    const events = fuelEvents.get(telemetry.vin) || [];
+    events.push(event);
+    events.sort((a, b) => a.at - b.at);
+    fuelEvents.set(telemetry.vin, events);
+
+    if (type === 'drop') {
+        raiseAlert(outcome, {
+            vin: telemetry.vin,
+            type: 'FUEL_ANOMALY',
+            message: `Vehicle ${telemetry.vin} fuel dropped from ${prev.fuelLevel}% to ${telemetry.fuelLevel}% while stationary` +
+                (event.liters !== null ? ` (${event.liters} L)` : ''),
+            severity: 'High',
+            at: telemetry.timestamp,
+            details: { fuelEventId: event.id }
+        });
+    }
+}
+
+// Fuel used, added and lost for a vehicle between from and to
+function computeFuelReport(vehicle, from, to) {
+    const readings = telemetryInRange(vehicle.vin, from, to).filter(r => typeof r.fuelLevel === 'number');
+    let consumedPercent = 0;
+    let addedPercent = 0;
+    let lostPercent = 0;
+
+    for (let i = 1; i < readings.length; i++) {
+        const change = readings[i].fuelLevel - readings[i - 1].fuelLevel;
+        const type = classifyFuelChange(readings[i - 1], readings[i]);
+        if (type === 'refuel') {
+            addedPercent += change;
+        } else if (type === 'drop') {
+            lostPercent -= change;
+        } else if (change < 0) {
+            consumedPercent -= change;
+        }
+    }
+
+    const events = fuelEventsInRange(vehicle.vin, from, to);
+
+    return {
+        vin: vehicle.vin,
+        fuelTankCapacity: vehicle.fuelTankCapacity,
+        readings: readings.length,
+        consumedPercent: roundTo(consumedPercent),
+        consumedLiters: litresFor(vehicle, consumedPercent),
+        refuels: events.filter(e => e.type === 'refuel').length,
+        addedPercent: roundTo(addedPercent),
+        addedLiters: litresFor(vehicle, addedPercent),
+        suspectedDrops: events.filter(e => e.type === 'drop').length,
+        lostPercent: roundTo(lostPercent),
+        lostLiters: litresFor(vehicle, lostPercent)
+    };
+}
+
+// Telemetry ingestion
+// Shared by the single and batch routes: validate, drop duplicates, store, raise alerts.
+// Returns { errors } for invalid data, otherwise { telemetry, duplicate, alertOutcome }.
+function ingestTelemetry(vin, data) {
+    const errors = validateTelemetryData(data);
+    if (errors.length > 0) {
+        return { errors };
+    }
+
+    if (data.messageId) {
+        const existing = findTelemetryByMessageId(vin, data.messageId);
+        if (existing) {
+            return { telemetry: existing, duplicate: true, alertOutcome: createAlertOutcome() };
+        }
+    }
+
+    const telemetry = new TelemetryRecord(
+        vin, data.speed, data.fuelLevel, data.batteryLevel, data.location, data.engineStatus,
+        data.timestamp !== undefined ? parseDeviceTimestamp(data.timestamp) : new Date(),
+        data.messageId || null,
+        data.odometer !== undefined ? data.odometer : null,
+        Array.isArray(data.diagnosticCodes) ? data.diagnosticCodes.map(normalizeDtc) : null
+    );
+    telemetry.driverId = driverIdAt(vin, telemetry.timestamp);
+
+    appendTelemetry(telemetry);
+
+    return { telemetry, duplicate: false, alertOutcome: generateAlerts(telemetry) };
+}
+
+// Bulk upload parsing
+
+const MAX_BATCH_RECORDS = Number(process.env.MAX_BATCH_RECORDS || 50000);
+const BATCH_CHUNK_SIZE = Number(process.env.BATCH_CHUNK_SIZE || 500);
+const NDJSON_TYPES = ['application/x-ndjson', 'application/ndjson', 'application/jsonl'];
+
+// JSON bodies are handled by express.json; NDJSON and CSV arrive as raw text
+const bulkTextParser = express.text({ type: [...NDJSON_TYPES, 'text/csv'], limit: BODY_LIMIT });
+
+// Minimal RFC 4180 parser: quoted fields, escaped quotes ("") and CRLF line endings
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    // Skip blank lines, then map each data row onto the header
+    const nonEmpty = rows.filter(r => r.length > 1 || r[0].trim() !== '');
+    if (nonEmpty.length === 0) {
+        return [];
+    }
+
+    const header = nonEmpty[0].map(h => h.trim());
+    return nonEmpty.slice(1).map(values => {
+        const record = {};
+        header.forEach((key, i) => {
+            record[key] = values[i] !== undefined ? values[i].trim() : '';
+        });
+        return record;
+    });
+}
+
+function csvNumber(value) {
+    if (value === undefined || value === '') {
+        return null;
+    }
+    // Leave unparseable values as strings so validation reports them
+    return isNaN(Number(value)) ? value : Number(value);
+}
+
+// CSV columns: vin,speed,fuelLevel,batteryLevel,latitude,longitude,address,engineStatus,
+// odometer,diagnosticCodes (separated by ;),timestamp,messageId
+function csvRowToTelemetry(row) {
+    const record = {
+        vin: row.vin,
+        speed: csvNumber(row.speed),
+        fuelLevel: csvNumber(row.fuelLevel),
+        batteryLevel: csvNumber(row.batteryLevel),
+        engineStatus: row.engineStatus
+    };
+    
+    if (row.odometer) {
+        record.odometer = csvNumber(row.odometer);
+    }
+    
+    if (row.diagnosticCodes !== undefined) {
+        record.diagnosticCodes = row.diagnosticCodes.split(';').map(c => c.trim()).filter(Boolean);
+    }
+
+    if (row.latitude || row.longitude) {
+        record.location = {
+            latitude: csvNumber(row.latitude),
+            longitude: csvNumber(row.longitude)
+        };
+        if (row.address) {
+            record.location.address = row.address;
+        }
+    }
+
+    if (row.timestamp) {
+        record.timestamp = /^\d+$/.test(row.timestamp) ? Number(row.timestamp) : row.timestamp;
+    }
+
+    if (row.messageId) {
+        record.messageId = row.messageId;
+    }
+
+    return record;
+}
+
+// Normalises every supported upload format into [{ index, record }] or [{ index, error }]
+function parseBulkTelemetry(req) {
+    if (req.is('text/csv')) {
+        return {
+            entries: parseCsv(req.body || '').map((row, index) => ({ index, record: csvRowToTelemetry(row) }))
+        };
+    }
+
+    if (req.is(NDJSON_TYPES)) {
+        const entries = [];
+        (req.body || '').split(/\r?\n/).forEach(line => {
+            if (line.trim() === '') {
+                return;
+            }
+            const index = entries.length;
+            try {
+                entries.push({ index, record: JSON.parse(line) });
+            } catch (error) {
+                entries.push({ index, error: `Invalid JSON: ${error.message}` });
+            }
+        });
+        return { entries };
+    }
+
+    const records = Array.isArray(req.body) ? req.body : req.body && req.body.records;
+    if (!Array.isArray(records)) {
+        return { error: 'Records must be an array' };
+    }
+
+    return { entries: records.map((record, index) => ({ index, record })) };
+}
+
+// CSV columns: vin,manufacturer,model,fleetId,owner,registrationStatus,fuelTankCapacity,
+// batteryCapacityKwh (createdAt/updatedAt from an export are accepted and ignored).
+// Empty cells leave the field unset, so an upsert keeps the stored value.
+function csvRowToVehicle(row) {
+    const record = {};
+    Object.keys(row).forEach(key => {
+        if (row[key] === '') {
+            return;
+        }
+        record[key] = ['fuelTankCapacity', 'batteryCapacityKwh'].includes(key) ? csvNumber(row[key]) : row[key];
+    });
+    return record;
+}
+
+// Vehicle imports: CSV, or JSON as { vehicles: [...] } or a bare array
+function parseBulkVehicles(req) {
+    if (req.is('text/csv')) {
+        return {
+            entries: parseCsv(req.body || '').map((row, index) => ({ index, record: csvRowToVehicle(row) }))
+        };
+    }
+
+    const records = Array.isArray(req.body) ? req.body : req.body && req.body.vehicles;
+    if (!Array.isArray(records)) {
+        return { error: 'Vehicles must be an array' };
+    }
+
+    return { entries: records.map((record, index) => ({ index, record })) };
+}
+
+// Validation helpers
+function validateVIN(vin) {
+    return vin && typeof vin === 'string' && vin.length === 17;
+}
+
+function validateVehicleData(data) {
+    const errors = [];
+    
+    if (!validateVIN(data.vin)) {
+        errors.push('VIN must be a 17-character string');
+    }
+    
+    if (!data.manufacturer || typeof data.manufacturer !== 'string') {
+        errors.push('Manufacturer is required and must be a string');
+    }
+    
+    if (!data.model || typeof data.model !== 'string') {
+        errors.push('Model is required and must be a string');
+    }
+    
+    if (!data.fleetId || typeof data.fleetId !== 'string') {
+        errors.push('Fleet ID is required and must be a string');
+    } else if (!fleets.has(data.fleetId)) {
+        errors.push(`Fleet ${data.fleetId} does not exist`);
+    }
+    
+    if (!data.owner || typeof data.owner !== 'string') {
+        errors.push('Owner is required and must be a string');
+    }
+    
+    if (data.registrationStatus && !['Active', 'Maintenance', 'Decommissioned'].includes(data.registrationStatus)) {
+        errors.push('Registration status must be Active, Maintenance, or Decommissioned');
+    }
+    
+    if (data.fuelTankCapacity !== undefined && data.fuelTankCapacity !== null &&
+        !(typeof data.fuelTankCapacity === 'number' && data.fuelTankCapacity > 0)) {
+        errors.push('fuelTankCapacity must be a positive number of litres or null');
+    }
+    
+    if (data.batteryCapacityKwh !== undefined && data.batteryCapacityKwh !== null &&
+        !(typeof data.batteryCapacityKwh === 'number' && data.batteryCapacityKwh > 0)) {
+        errors.push('batteryCapacityKwh must be a positive number or null');
+    }
+    
+    return errors;
+}
+
+// Optional fleetId of drivers, alert rules, geofences and webhooks: null or an existing fleet
+function validateFleetReference(data, errors) {
+    if (data.fleetId === undefined || data.fleetId === null) {
+        return;
+    }
+    if (typeof data.fleetId !== 'string') {
+        errors.push('fleetId must be a string or null');
+    } else if (!fleets.has(data.fleetId)) {
+        errors.push(`Fleet ${data.fleetId} does not exist`);
+    }
+}
+
+const ENGINE_STATUSES = ['Running', 'Idle', 'Off'];
+const MAX_SPEED_KMH = 300;
+
+function isNumberInRange(value, min, max) {
+    return typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+}
+
+// Tolerated device clock drift into the future
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+// Accepts an ISO 8601 string or epoch milliseconds; returns null when unparseable
+function parseDeviceTimestamp(value) {
+    if (typeof value !== 'string' && typeof value !== 'number') {
+        return null;
+    }
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+function validateTelemetryData(data) {
+    const errors = [];
+    
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return ['Telemetry must be a JSON object'];
+    }
+    
+    if (!isNumberInRange(data.speed, 0, MAX_SPEED_KMH)) {
+        errors.push(`Speed is required and must be a number between 0 and ${MAX_SPEED_KMH} km/h`);
+    }
+    
+    // EVs report no fuel and ICE vehicles may report no battery, so both accept null
+    ['fuelLevel', 'batteryLevel'].forEach(key => {
+        if (data[key] !== undefined && data[key] !== null && !isNumberInRange(data[key], 0, 100)) {
+            errors.push(`${key} must be a number between 0 and 100`);
+        }
+    });
+    
+    if (data.location !== undefined && data.location !== null) {
+        if (!validateCoordinates(data.location)) {
+            errors.push('Location must have latitude between -90 and 90 and longitude between -180 and 180');
+        }
+        if (data.location.address !== undefined && typeof data.location.address !== 'string') {
+            errors.push('Location address must be a string');
+        }
+    }
+    
+    if (!ENGINE_STATUSES.includes(data.engineStatus)) {
+        errors.push(`Engine status is required and must be one of: ${ENGINE_STATUSES.join(', ')}`);
+    }
+    
+    if (data.odometer !== undefined && data.odometer !== null &&
+        !isNumberInRange(data.odometer, 0, Number.MAX_SAFE_INTEGER)) {
+        errors.push('Odometer must be a non-negative number of km');
+    }
+    
+    if (data.diagnosticCodes !== undefined && data.diagnosticCodes !== null) {
+        if (!Array.isArray(data.diagnosticCodes)) {
+            errors.push('Diagnostic codes must be an array');
+        } else {
+            const invalid = data.diagnosticCodes.filter(code => !DTC_PATTERN.test(normalizeDtc(code)));
+            if (invalid.length > 0) {
+                errors.push(`Invalid diagnostic codes: ${invalid.join(', ')} (expected e.g. P0301)`);
+            }
+        }
+    }
+    
+    if (data.timestamp !== undefined) {
+        const timestamp = parseDeviceTimestamp(data.timestamp);
+        if (!timestamp) {
+            errors.push('Timestamp must be an ISO 8601 string or epoch milliseconds');
+        } else if (timestamp.getTime() - Date.now() > MAX_CLOCK_SKEW_MS) {
+            errors.push('Timestamp cannot be in the future');
+        }
+    }
+    
+    if (data.messageId !== undefined && (typeof data.messageId !== 'string' || !data.messageId || data.messageId.length > 128)) {
+        errors.push('Message ID must be a non-empty string of at most 128 characters');
+    }
+    
+    return errors;
+}
+
+function isValidTimezone(timezone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+function validateFleetData(data, partial = false) {
+    const errors = [];
+    
+    if (!partial && (typeof data.id !== 'string' || !FLEET_ID_PATTERN.test(data.id))) {
+        errors.push('id is required: 1-64 letters, digits, ".", "_" or "-" without spaces');
+    }
+    
+    if (!partial || data.name !== undefined) {
+        if (!data.name || typeof data.name !== 'string' || !data.name.trim()) {
+            errors.push('Name is required and must be a string');
+        }
+    }
+    
+    if (data.timezone !== undefined && (typeof data.timezone !== 'string' || !isValidTimezone(data.timezone))) {
+        errors.push('timezone must be an IANA time zone such as Europe/Berlin');
+    }
+    
+    if (data.defaultThresholds !== undefined) {
+        const thresholds = data.defaultThresholds;
+        if (!thresholds || typeof thresholds !== 'object' || Array.isArray(thresholds)) {
+            errors.push(`defaultThresholds must be an object with: ${Object.keys(FLEET_THRESHOLDS).join(', ')}`);
+        } else {
+            Object.entries(thresholds).forEach(([key, value]) => {
+                if (!FLEET_THRESHOLDS[key]) {
+                    errors.push(`Unknown threshold ${key}; expected one of: ${Object.keys(FLEET_THRESHOLDS).join(', ')}`);
+                } else if (value !== null && !isNumberInRange(value, 0, key === 'maxSpeed' ? MAX_SPEED_KMH : 100)) {
+                    errors.push(`${key} must be ${key === 'maxSpeed' ? `0-${MAX_SPEED_KMH} km/h` : '0-100 %'} or null`);
+                }
+            });
+        }
+    }
+    
+    if (data.manager !== undefined && data.manager !== null) {
+        if (typeof data.manager !== 'object' || Array.isArray(data.manager)) {
+            errors.push('manager must be an object with name, email and phone');
+        } else {
+            ['name', 'email', 'phone'].forEach(key => {
+                if (data.manager[key] !== undefined && typeof data.manager[key] !== 'string') {
+                    errors.push(`manager.${key} must be a string`);
+                }
+            });
+            if (data.manager.email && !/^[^\s@]+@[^\s@]+$/.test(data.manager.email)) {
+                errors.push('manager.email must be a valid email address');
+            }
+        }
+    }
+    
+    return errors;
+}
+
+function validateDriverData(data, driverId = null) {
+    const errors = [];
+    
+    if (!data.name || typeof data.name !== 'string') {
+        errors.push('Name is required and must be a string');
+    }
+    
+    if (!data.licenseNumber || typeof data.licenseNumber !== 'string') {
+        errors.push('License number is required and must be a string');
+    } else if (drivers.list().some(d => d.id !== driverId && d.licenseNumber === data.licenseNumber)) {
+        errors.push(`A driver with license number ${data.licenseNumber} already exists`);
+    }
+    
+    if (data.licenseExpiry !== undefined && data.licenseExpiry !== null && isNaN(new Date(data.licenseExpiry).getTime())) {
+        errors.push('licenseExpiry must be a valid date');
+    }
+    
+    ['phone', 'email'].forEach(key => {
+        if (data[key] !== undefined && data[key] !== null && typeof data[key] !== 'string') {
+            errors.push(`${key} must be a string or null`);
+        }
+    });
+    
+    validateFleetReference(data, errors);
+    
+    if (data.status !== undefined && !DRIVER_STATUSES.includes(data.status)) {
+        errors.push(`Status must be one of: ${DRIVER_STATUSES.join(', ')}`);
+    }
+    
+    return errors;
+}
+
+// Returns { startAt, endAt } or { errors }
+function parseAssignmentWindow(data) {
+    const errors = [];
+    const startAt = data.startAt !== undefined ? parseDeviceTimestamp(data.startAt) : new Date();
+    const endAt = data.endAt !== undefined && data.endAt !== null ? parseDeviceTimestamp(data.endAt) : null;
+    
+    if (!startAt) {
+        errors.push('startAt must be an ISO 8601 date or epoch milliseconds');
+    }
+    
+    if (data.endAt !== undefined && data.endAt !== null && !endAt) {
+        errors.push('endAt must be an ISO 8601 date or epoch milliseconds');
+    }
+    
+    if (startAt && endAt && endAt <= startAt) {
+        errors.push('endAt must be after startAt');
+    }
+    
+    return errors.length > 0 ? { errors } : { startAt, endAt };
+}
+
+function validateMaintenancePlanData(data) {
+    const errors = [];
+    
+    if (!data.name || typeof data.name !== 'string') {
+        errors.push('Name is required and must be a string');
+    }
+    
+    const intervals = ['intervalKm', 'intervalDays', 'intervalEngineHours'];
+    intervals.forEach(key => {
+        if (data[key] !== undefined && data[key] !== null && !(typeof data[key] === 'number' && data[key] > 0)) {
+            errors.push(`${key} must be a positive number`);
+        }
+    });
+    
+    if (!intervals.some(key => data[key])) {
+        errors.push('At least one of intervalKm, intervalDays or intervalEngineHours is required');
+    }
+    
+    ['manufacturer', 'model'].forEach(key => {
+        if (data[key] !== undefined && data[key] !== null && typeof data[key] !== 'string') {
+            errors.push(`${key} must be a string or null`);
+        }
+    });
+    
+    return errors;
+}
+
+function validateServiceRecordData(data) {
+    const errors = [];
+    
+    if (data.planId !== undefined && data.planId !== null && !maintenancePlans.has(data.planId)) {
+        errors.push('planId must reference an existing maintenance plan');
+    }
+    
+    if (data.performedAt !== undefined) {
+        const performedAt = new Date(data.performedAt);
+        if (isNaN(performedAt.getTime())) {
+            errors.push('performedAt must be a valid date');
+        } else if (performedAt > new Date()) {
+            errors.push('performedAt cannot be in the future');
+        }
+    }
+    
+    if (data.odometer !== undefined && data.odometer !== null && !isNumberInRange(data.odometer, 0, Number.MAX_SAFE_INTEGER)) {
+        errors.push('Odometer must be a non-negative number of km');
+    }
+    
+    if (data.cost !== undefined && data.cost !== null && !isNumberInRange(data.cost, 0, Number.MAX_SAFE_INTEGER)) {
+        errors.push('Cost must be a non-negative number');
+    }
+    
+    ['description', 'workshop'].forEach(key => {
+        if (data[key] !== undefined && data[key] !== null && typeof data[key] !== 'string') {
+            errors.push(`${key} must be a string`);
+        }
+    });
+    
+    return errors;
+}
+
+// Validates a full rule on create, or only the supplied fields when partial (update)
+function validateAlertRuleData(data, partial = false) {
+    const errors = [];
+    const has = key => !partial || data[key] !== undefined;
+    
+    if (has('type') && (!data.type || typeof data.type !== 'string' || !/^[A-Z][A-Z0-9_]*$/.test(data.type))) {
+        errors.push('Type is required and must be an UPPER_SNAKE_CASE string');
+    } else if (has('type') && SYSTEM_ALERT_TYPES.includes(data.type)) {
+        errors.push(`Type ${data.type} is reserved for system alerts`);
+    }
+    
+    if (has('field') && !ALERT_RULE_FIELDS.includes(data.field)) {
+        errors.push(`Field must be one of: ${ALERT_RULE_FIELDS.join(', ')}`);
+    }
+    
+    if (has('operator') && !Object.keys(ALERT_RULE_OPERATORS).includes(data.operator)) {
+        errors.push(`Operator must be one of: ${Object.keys(ALERT_RULE_OPERATORS).join(', ')}`);
+    }
+    
+    if (has('threshold') && (typeof data.threshold !== 'number' || !Number.isFinite(data.threshold))) {
+        errors.push('Threshold is required and must be a number');
+    }
+    
+    if (data.severity !== undefined && !ALERT_SEVERITIES.includes(data.severity)) {
+        errors.push(`Severity must be one of: ${ALERT_SEVERITIES.join(', ')}`);
+    }
+    
+    if (data.name !== undefined && (!data.name || typeof data.name !== 'string')) {
+        errors.push('Name must be a non-empty string');
+    }
+    
+    if (data.manufacturer !== undefined && data.manufacturer !== null && typeof data.manufacturer !== 'string') {
+        errors.push('manufacturer must be a string or null');
+    }
+    
+    validateFleetReference(data, errors);
+    
+    if (data.enabled !== undefined && typeof data.enabled !== 'boolean') {
+        errors.push('Enabled must be a boolean');
+    }
+    
+    return errors;
+}
+
+function validateCoordinates(point) {
+    return hasCoordinates(point) &&
+        point.latitude >= -90 && point.latitude <= 90 &&
+        point.longitude >= -180 && point.longitude <= 180;
+}
+
+function validateGeofenceData(data) {
+    const errors = [];
+    
+    if (!data.name || typeof data.name !== 'string') {
+        errors.push('Name is required and must be a string');
+    }
+    
+    if (data.shape === 'circle') {
+        if (!validateCoordinates(data.center)) {
+            errors.push('Circle center must have a valid latitude and longitude');
+        }
+        if (typeof data.radiusMeters !== 'number' || data.radiusMeters <= 0) {
+            errors.push('Circle radiusMeters must be a positive number');
+        }
+    } else if (data.shape === 'polygon') {
+        if (!Array.isArray(data.points) || data.points.length < 3) {
+            errors.push('Polygon must have at least 3 points');
+        } else if (!data.points.every(validateCoordinates)) {
+            errors.push('Every polygon point must have a valid latitude and longitude');
+        }
+    } else {
+        errors.push('Shape must be circle or polygon');
+    }
+    
+    if (data.vin && !vehicles.has(data.vin)) {
+        errors.push(`Vehicle ${data.vin} does not exist`);
+    }
+    
+    validateFleetReference(data, errors);
+    
+    ['alertOnEnter', 'alertOnExit'].forEach(key => {
+        if (data[key] !== undefined && typeof data[key] !== 'boolean') {
+            errors.push(`${key} must be a boolean`);
+        }
+    });
+    
+    if (data.severity !== undefined && !ALERT_SEVERITIES.includes(data.severity)) {
+        errors.push(`Severity must be one of: ${ALERT_SEVERITIES.join(', ')}`);
+    }
+    
+    return errors;
+}
+
+// Analytics helpers
+
+// Resolve the analytics time window from query params (?from=&to= or ?hours=, default last 24h)
+function parseTimeWindow(query) {
+    const to = query.to ? new Date(query.to) : new Date();
+    let from;
+
+    if (query.from) {
+        from = new Date(query.from);
+    } else {
+        const hours = query.hours !== undefined ? Number(query.hours) : 24;
+        if (!Number.isFinite(hours) || hours <= 0) {
+            return { error: 'hours must be a positive number' };
+        }
+        from = new Date(to.getTime() - hours * 60 * 60 * 1000);
+    }
+
+    if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+        return { error: 'from and to must be valid dates' };
+    }
+
+    if (from > to) {
+        return { error: 'from must be before to' };
+    }
+
+    return { from, to };
+}
+
+function roundTo(value, decimals = 2) {
+    const factor = 10 ** decimals;
+    return Math.round(value * factor) / factor;
+}
+
+function average(values) {
+    if (values.length === 0) {
+        return null;
+    }
+    return roundTo(values.reduce((sum, v) => sum + v, 0) / values.length);
+}
+
+function vehiclesInScope(fleetId) {
+    let vehicleList = vehicles.list();
+    if (fleetId) {
+        vehicleList = vehicleList.filter(v => v.fleetId === fleetId);
+    }
+    return vehicleList;
+}
+
+// Telemetry records for a VIN inside the window, oldest first
+function telemetryInWindow(vin, window) {
+    return telemetryInRange(vin, window.from, window.to);
+}
+
+function computeActivity(vehicleList, window) {
+    const active = [];
+    const inactive = [];
+
+    vehicleList.forEach(v => {
+        if (telemetryInWindow(v.vin, window).length > 0) {
+            active.push(v.vin);
+        } else {
+            inactive.push(v.vin);
+        }
+    });
+
+    return {
+        total: vehicleList.length,
+        active: active.length,
+        inactive: inactive.length,
+        activeVehicles: active,
+        inactiveVehicles: inactive
+    };
+}
+
+// Averages are taken over each vehicle's latest reading inside the window
+function computeEnergyLevels(vehicleList, window) {
+    const fuelLevels = [];
+    const batteryLevels = [];
+
+    vehicleList.forEach(v => {
+        const records = telemetryInWindow(v.vin, window);
+        const latest = records[records.length - 1];
+        if (!latest) {
+            return;
+        }
+        if (typeof latest.fuelLevel === 'number') {
+            fuelLevels.push(latest.fuelLevel);
+        }
+        if (typeof latest.batteryLevel === 'number') {
+            batteryLevels.push(latest.batteryLevel);
+        }
+    });
+
+    return {
+        averageFuelLevel: average(fuelLevels),
+        averageBatteryLevel: average(batteryLevels),
+        vehiclesReportingFuel: fuelLevels.length,
+        vehiclesReportingBattery: batteryLevels.length
+    };
+}
+
+function computeDistance(vehicleList, window) {
+    const byVehicle = {};
+    let totalKm = 0;
+
+    vehicleList.forEach(v => {
+        const points = telemetryInWindow(v.vin, window).filter(t => hasCoordinates(t.location));
+        let km = 0;
+        for (let i = 1; i < points.length; i++) {
+            km += haversineDistance(points[i - 1].location, points[i].location);
+        }
+        byVehicle[v.vin] = roundTo(km);
+        totalKm += km;
+    });
+
+    return {
+        totalDistanceKm: roundTo(totalKm),
+        byVehicle
+    };
+}
+
+function computeAlertSummary(vehicleList, window) {
+    const vins = new Set(vehicleList.map(v => v.vin));
+    const summary = {
+        total: 0,
+        byType: {},
+        bySeverity: {},
+        byStatus: {}
+    };
+
+    alerts.list().forEach(a => {
+        const ts = new Date(a.timestamp);
+        if (!vins.has(a.vin) || ts < window.from || ts > window.to) {
+            return;
+        }
+        summary.total++;
+        summary.byType[a.type] = (summary.byType[a.type] || 0) + 1;
+        summary.bySeverity[a.severity] = (summary.bySeverity[a.severity] || 0) + 1;
+        summary.byStatus[a.status] = (summary.byStatus[a.status] || 0) + 1;
+    });
+
+    return summary;
+}
+
+// Trip detection
+// A trip is a run of telemetry with the engine on. It ends when the engine reports Off
+// or when the gap between two consecutive records exceeds TRIP_IDLE_GAP_MINUTES.
+
+const TRIP_IDLE_GAP_MS = Number(process.env.TRIP_IDLE_GAP_MINUTES || 10) * 60 * 1000;
+
+function isEngineOn(record) {
+    if (typeof record.engineStatus === 'string') {
+        return record.engineStatus.toLowerCase() !== 'off';
+    }
+    // Devices that do not report engine status are considered running while moving
+    return typeof record.speed === 'number' && record.speed > 0;
+}
+
+// Split a VIN's telemetry (oldest first) into trips
+function detectTrips(records) {
+    const segments = [];
+    let current = null;
+
+    records.forEach(record => {
+        const gap = current ?
+            new Date(record.timestamp) - new Date(current[current.length - 1].timestamp) : 0;
+
+        if (current && gap > TRIP_IDLE_GAP_MS) {
+            segments.push({ records: current, endedBy: 'idle_gap' });
+            current = null;
+        }
+
+        if (isEngineOn(record)) {
+            current = current || [];
+            current.push(record);
+        } else if (current) {
+            // The engine-off record closes the trip and marks where the vehicle parked
+            current.push(record);
+            segments.push({ records: current, endedBy: 'engine_off' });
+            current = null;
+        }
+    });
+
+    if (current) {
+        const idleFor = Date.now() - new Date(current[current.length - 1].timestamp);
+        segments.push({ records: current, endedBy: idleFor > TRIP_IDLE_GAP_MS ? 'idle_gap' : null });
+    }
+
+    return segments
+        .filter(segment => segment.records.length > 1)
+        .map(segment => summarizeTrip(segment.records, segment.endedBy));
+}
+
+function summarizeTrip(records, endedBy) {
+    const first = records[0];
+    const last = records[records.length - 1];
+    const located = records.filter(r => hasCoordinates(r.location));
+    const speeds = records.map(r => r.speed).filter(v => typeof v === 'number');
+    const fuelReadings = records.map(r => r.fuelLevel).filter(v => typeof v === 'number');
+
+    let distanceKm = 0;
+    for (let i = 1; i < located.length; i++) {
+        distanceKm += haversineDistance(located[i - 1].location, located[i].location);
+    }
+
+    // Only drops count as consumption so a mid-trip refuel does not cancel it out
+    let fuelConsumed = 0;
+    for (let i = 1; i < fuelReadings.length; i++) {
+        fuelConsumed += Math.max(0, fuelReadings[i - 1] - fuelReadings[i]);
+    }
+
+    const startTime = new Date(first.timestamp);
+    const endTime = new Date(last.timestamp);
+
+    return {
+        id: `${first.vin}-${startTime.getTime()}`,
+        vin: first.vin,
+        startTime,
+        endTime,
+        startLocation: located.length > 0 ? located[0].location : null,
+        endLocation: located.length > 0 ? located[located.length - 1].location : null,
+        durationMinutes: roundTo((endTime - startTime) / 60000),
+        distanceKm: roundTo(distanceKm),
+        maxSpeed: speeds.length > 0 ? Math.max(...speeds) : null,
+        avgSpeed: average(speeds),
+        fuelConsumedPercent: fuelReadings.length > 1 ? roundTo(fuelConsumed) : null,
+        recordCount: records.length,
+        // Open trips have not seen an engine-off record or an idle gap yet
+        inProgress: endedBy === null,
+        endedBy
+    };
+}
+
+function tripsForVehicle(vin) {
+    return detectTrips(getTelemetry(vin));
+}
+
+// EV charging and range
+// A charging session is a run of readings where batteryLevel keeps rising (or holds)
+// while the vehicle stands still; it ends when the level drops, the vehicle moves or
+// no reading arrives for CHARGING_GAP_MINUTES. Consumption (% of battery per km) is
+// learned from battery drops over GPS distance while driving; until enough distance
+// has been seen a default of EV_DEFAULT_KWH_PER_100KM is assumed.
+
+const CHARGING_GAP_MS = Number(process.env.CHARGING_GAP_MINUTES || 30) * 60 * 1000;
+const CHARGING_MIN_RISE_PERCENT = 2;
+const EV_DEFAULT_KWH_PER_100KM = Number(process.env.EV_DEFAULT_KWH_PER_100KM || 18);
+const EV_MODEL_MIN_DISTANCE_KM = 20;
+const EV_MODEL_WINDOW_MS = 30 * 24 * 60 * 60 * 1000;
+const EV_MODEL_REFRESH_MS = 10 * 60 * 1000;
+const EV_MODEL_REFRESH_RECORDS = 20;
+
+// VIN -> { model, computedAt }; derived from telemetry, so it is not persisted
+const consumptionModels = new Map();
+
+function isElectric(vehicle) {
+    return Boolean(vehicle && vehicle.batteryCapacityKwh);
+}
+
+function kwhFor(vehicle, percent) {
+    return isElectric(vehicle) ? roundTo(vehicle.batteryCapacityKwh * percent / 100) : null;
+}
+
+// Split a VIN's telemetry (oldest first) into charging sessions
+function detectChargingSessions(records, vehicle) {
+    const readings = records.filter(r => typeof r.batteryLevel === 'number');
+    const sessions = [];
+    let current = null;
+
+    const close = () => {
+        // Trailing readings where the level only held are not part of the charge
+        while (current.length > 1 && current[current.length - 1].batteryLevel <= current[current.length - 2].batteryLevel) {
+            current.pop();
+        }
+        if (current[current.length - 1].batteryLevel - current[0].batteryLevel >= CHARGING_MIN_RISE_PERCENT) {
+            sessions.push(current);
+        }
+        current = null;
+    };
+
+    for (let i = 1; i < readings.length; i++) {
+        const prev = readings[i - 1];
+        const curr = readings[i];
+        const continues = curr.timestamp - prev.timestamp <= CHARGING_GAP_MS &&
+            !(curr.speed > 0) && !(prev.speed > 0);
+
+        if (continues && curr.batteryLevel > prev.batteryLevel) {
+            current = current || [prev];
+            current.push(curr);
+        } else if (current && continues && curr.batteryLevel === prev.batteryLevel) {
+            current.push(curr);
+        } else if (current) {
+            close();
+        }
+    }
+    if (current) {
+        close();
+    }
+
+    const newest = readings[readings.length - 1];
+    return sessions.map(session => {
+        const first = session[0];
+        const last = session[session.length - 1];
+        const located = session.find(r => hasCoordinates(r.location));
+        const addedPercent = roundTo(last.batteryLevel - first.batteryLevel);
+        const kWhAdded = kwhFor(vehicle, addedPercent);
+        const hours = (last.timestamp - first.timestamp) / HOUR_MS;
+        const startTime = new Date(first.timestamp);
+
+        return {
+            id: `${first.vin}-${startTime.getTime()}`,
+            vin: first.vin,
+            startTime,
+            endTime: new Date(last.timestamp),
+            durationMinutes: roundTo(hours * 60),
+            startLevel: first.batteryLevel,
+            endLevel: last.batteryLevel,
+            addedPercent,
+            kWhAdded,
+            averagePowerKw: kWhAdded !== null && hours > 0 ? roundTo(kWhAdded / hours) : null,
+            location: located ? located.location : null,
+            // Still charging if nothing newer than the session arrived recently
+            inProgress: last === newest && Date.now() - last.timestamp <= CHARGING_GAP_MS
+        };
+    });
+}
+
+function chargingSessionsForVehicle(vehicle) {
+    return detectChargingSessions(getTelemetry(vehicle.vin), vehicle);
+}
+
+function learnConsumption(vehicle, now = new Date()) {
+    const records = telemetryInRange(vehicle.vin, new Date(now - EV_MODEL_WINDOW_MS), null)
+        .filter(r => typeof r.batteryLevel === 'number' && hasCoordinates(r.location));
+    let distanceKm = 0;
+    let dropPercent = 0;
+
+    for (let i = 1; i < records.length; i++) {
+        const prev = records[i - 1];
+        const curr = records[i];
+        // Only driving stretches without charging in between say something about consumption
+        if (curr.timestamp - prev.timestamp > TRIP_IDLE_GAP_MS || !isEngineOn(prev) || curr.batteryLevel > prev.batteryLevel) {
+            continue;
+        }
+        distanceKm += haversineDistance(prev.location, curr.location);
+        dropPercent += prev.batteryLevel - curr.batteryLevel;
+    }
+
+    const learned = distanceKm >= EV_MODEL_MIN_DISTANCE_KM && dropPercent > 0;
+    const percentPerKm = learned ? dropPercent / distanceKm : EV_DEFAULT_KWH_PER_100KM / vehicle.batteryCapacityKwh;
+
+    return {
+        source: learned ? 'learned' : 'default',
+        percentPerKm: roundTo(percentPerKm, 4),
+        kWhPer100Km: roundTo(percentPerKm * vehicle.batteryCapacityKwh),
+        sampleDistanceKm: roundTo(distanceKm),
+        computedAt: now
+    };
+}
+
+// Relearned every EV_MODEL_REFRESH_MS, or sooner once enough new readings arrived
+function consumptionModelFor(vehicle) {
+    const cached = consumptionModels.get(vehicle.vin);
+    const historyLength = getTelemetry(vehicle.vin).length;
+    if (cached && Date.now() - cached.computedAt < EV_MODEL_REFRESH_MS &&
+        Math.abs(historyLength - cached.historyLength) < EV_MODEL_REFRESH_RECORDS &&
+        cached.batteryCapacityKwh === vehicle.batteryCapacityKwh) {
+        return cached.model;
+    }
+    const model = learnConsumption(vehicle);
+    consumptionModels.set(vehicle.vin, {
+        model,
+        computedAt: Date.now(),
+        historyLength,
+        batteryCapacityKwh: vehicle.batteryCapacityKwh
+    });
+    return model;
+}
+
+// Range left at the reading's battery level, or null for non-EVs / readings without a level
+function estimateRange(vehicle, record) {
+    if (!isElectric(vehicle) || !record || typeof record.batteryLevel !== 'number') {
+        return null;
+    }
+    const model = consumptionModelFor(vehicle);
+    return {
+        estimatedRangeKm: roundTo(record.batteryLevel / model.percentPerKm, 1),
+        batteryLevel: record.batteryLevel,
+        energyKwh: kwhFor(vehicle, record.batteryLevel),
+        model
+    };
+}
+
+// The record plus values derived from it that alert rules may watch
+function withDerivedFields(telemetry, vehicle) {
+    const range = estimateRange(vehicle, telemetry);
+    return range ? { ...telemetry, estimatedRangeKm: range.estimatedRangeKm } : telemetry;
+}
+
+// Driving behaviour
+// Consecutive samples of a VIN are compared to find harsh acceleration and braking
+// (speed change per second), sustained speeding and excessive idling. Each event
+// costs penalty points; the score is 100 minus the penalty per hour of driving.
+
+const HARSH_ACCELERATION_KMH_PER_S = Number(process.env.HARSH_ACCELERATION_KMH_PER_S || 10);
+const HARSH_BRAKING_KMH_PER_S = Number(process.env.HARSH_BRAKING_KMH_PER_S || 12);
+// Samples further apart than this say nothing about acceleration
+const MAX_BEHAVIOUR_SAMPLE_GAP_MS = 30 * 1000;
+const SPEEDING_MIN_DURATION_MS = 60 * 1000;
+const EXCESSIVE_IDLE_MS = Number(process.env.EXCESSIVE_IDLE_MINUTES || 5) * 60 * 1000;
+const DEFAULT_SPEED_LIMIT_KMH = 80;
+
+const BEHAVIOUR_PENALTIES = {
+    harshAcceleration: 5,
+    harshBraking: 5,
+    speedingMinute: 2,
+    idlingMinute: 1
+};
+
+// Speed limit of the vehicle's SPEED_VIOLATION rule, so scoring agrees with the alerts
+function speedLimitFor(vehicle) {
+    const rules = rulesForVehicle(vehicle).get('SPEED_VIOLATION') || [];
+    const rule = rules.find(r => r.field === 'speed' && ['>', '>='].includes(r.operator));
+    return rule ? rule.threshold : DEFAULT_SPEED_LIMIT_KMH;
+}
+
+function isIdling(record) {
+    return isEngineOn(record) && (record.engineStatus === 'Idle' || record.speed === 0);
+}
+
+// Raw event counts for one vehicle's records (oldest first)
+function analyzeBehaviour(records, speedLimit) {
+    const result = {
+        drivingMs: 0,
+        harshAccelerations: 0,
+        harshBrakings: 0,
+        speedingEvents: 0,
+        speedingMs: 0,
+        idlingEvents: 0,
+        idlingMs: 0
+    };
+    let speedingSince = null;
+    let idlingSince = null;
+
+    const closeSpeeding = at => {
+        if (speedingSince !== null && at - speedingSince >= SPEEDING_MIN_DURATION_MS) {
+            result.speedingEvents++;
+            result.speedingMs += at - speedingSince;
+        }
+        speedingSince = null;
+    };
+
+    const closeIdling = at => {
+        if (idlingSince !== null && at - idlingSince > EXCESSIVE_IDLE_MS) {
+            result.idlingEvents++;
+            result.idlingMs += at - idlingSince - EXCESSIVE_IDLE_MS;
+        }
+        idlingSince = null;
+    };
+
+    for (let i = 1; i < records.length; i++) {
+        const prev = records[i - 1];
+        const curr = records[i];
+        const gap = curr.timestamp - prev.timestamp;
+
+        if (gap > TRIP_IDLE_GAP_MS) {
+            // Nothing is known about the time in between
+            closeSpeeding(prev.timestamp);
+            closeIdling(prev.timestamp);
+            continue;
+        }
+
+        if (isEngineOn(prev)) {
+            result.drivingMs += gap;
+        }
+
+        if (gap > 0 && gap <= MAX_BEHAVIOUR_SAMPLE_GAP_MS) {
+            const rate = (curr.speed - prev.speed) / (gap / 1000);
+            if (rate >= HARSH_ACCELERATION_KMH_PER_S) {
+                result.harshAccelerations++;
+            } else if (rate <= -HARSH_BRAKING_KMH_PER_S) {
+                result.harshBrakings++;
+            }
+        }
+
+        if (prev.speed > speedLimit && curr.speed > speedLimit) {
+            speedingSince = speedingSince === null ? prev.timestamp : speedingSince;
+        } else {
+            closeSpeeding(prev.speed > speedLimit ? curr.timestamp : prev.timestamp);
+        }
+
+        if (isIdling(prev) && isIdling(curr)) {
+            idlingSince = idlingSince === null ? prev.timestamp : idlingSince;
+        } else {
+            closeIdling(isIdling(prev) ? curr.timestamp : prev.timestamp);
+        }
+    }
+
+    if (records.length > 0) {
+        const last = records[records.length - 1].timestamp;
+        closeSpeeding(last);
+        closeIdling(last);
+    }
+
+    return result;
+}
+
+function combineBehaviour(results) {
+    return results.reduce((total, r) => {
+        Object.keys(total).forEach(key => {
+            total[key] += r[key];
+        });
+        return total;
+    }, analyzeBehaviour([], DEFAULT_SPEED_LIMIT_KMH));
+}
+
+// Score and report; periods shorter than an hour are judged as a full hour so a
+// single event on a short drive does not wipe out the score. No driving -> null score.
+function scoreBehaviour(result) {
+    const drivingHours = result.drivingMs / HOUR_MS;
+    const speedingMinutes = result.speedingMs / 60000;
+    const idlingMinutes = result.idlingMs / 60000;
+    const penalty =
+        result.harshAccelerations * BEHAVIOUR_PENALTIES.harshAcceleration +
+        result.harshBrakings * BEHAVIOUR_PENALTIES.harshBraking +
+        speedingMinutes * BEHAVIOUR_PENALTIES.speedingMinute +
+        idlingMinutes * BEHAVIOUR_PENALTIES.idlingMinute;
+
+    return {
+        score: result.drivingMs > 0 ? Math.max(0, Math.round(100 - penalty / Math.max(1, drivingHours))) : null,
+        drivingHours: roundTo(drivingHours),
+        harshAccelerations: result.harshAccelerations,
+        harshBrakings: result.harshBrakings,
+        speedingEvents: result.speedingEvents,
+        speedingMinutes: roundTo(speedingMinutes),
+        idlingEvents: result.idlingEvents,
+        excessIdlingMinutes: roundTo(idlingMinutes)
+    };
+}
+
+function behaviourForVehicle(vehicle, window) {
+    return scoreBehaviour(analyzeBehaviour(telemetryInRange(vehicle.vin, window.from, window.to), speedLimitFor(vehicle)));
+}
+
+// Only the telemetry inside the driver's assignments counts, each vehicle with its own limit
+function behaviourForDriver(driverId, window, canUseVehicle = () => true) {
+    const results = assignmentsForDriver(driverId)
+        .filter(a => a.overlaps(window.from, window.to))
+        .map(a => {
+            const vehicle = vehicles.get(a.vin);
+            if (!vehicle || !canUseVehicle(vehicle)) {
+                return null;
+            }
+            const from = a.startAt > window.from ? a.startAt : window.from;
+            const to = a.endAt && a.endAt < window.to ? new Date(a.endAt.getTime() - 1) : window.to;
+            return analyzeBehaviour(telemetryInRange(a.vin, from, to), speedLimitFor(vehicle));
+        })
+        .filter(Boolean);
+
+    return scoreBehaviour(combineBehaviour(results));
+}
+
+// Telemetry history: range queries, downsampling and retention
+
+const TELEMETRY_NUMERIC_FIELDS = ['speed', 'fuelLevel', 'batteryLevel', 'odometer'];
+const TELEMETRY_FIELDS = [...TELEMETRY_NUMERIC_FIELDS, 'location', 'engineStatus', 'diagnosticCodes', 'messageId', 'receivedAt', 'driverId'];
+const MAX_DOWNSAMPLE_BUCKETS = 10000;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Raw records older than this many days are rolled into hourly aggregates (0 disables)
+const TELEMETRY_RETENTION_DAYS = Number(process.env.TELEMETRY_RETENTION_DAYS || 30);
+
+// First index whose timestamp is >= date; history is sorted oldest first
+function lowerBound(history, date) {
+    let low = 0;
+    let high = history.length;
+    while (low < high) {
+        const mid = (low + high) >> 1;
+        if (history[mid].timestamp < date) {
+            low = mid + 1;
+        } else {
+            high = mid;
+        }
+    }
+    return low;
+}
+
+// Records with from <= timestamp <= to (either bound may be null), oldest first
+function telemetryInRange(vin, from, to) {
+    const history = getTelemetry(vin);
+    const start = from ? lowerBound(history, from) : 0;
+    const end = to ? lowerBound(history, new Date(to.getTime() + 1)) : history.length;
+    return history.slice(start, end);
+}
+
+// "30s", "5m", "1h", "1d" or plain seconds -> milliseconds
+function parseInterval(value) {
+    const match = /^(\d+)(s|m|h|d)?$/.exec(String(value).trim());
+    if (!match || Number(match[1]) === 0) {
+        return null;
+    }
+    const unit = { s: 1000, m: 60 * 1000, h: HOUR_MS, d: 24 * HOUR_MS }[match[2] || 's'];
+    return Number(match[1]) * unit;
+}
+
+function selectFields(record, fields) {
+    const selected = { id: record.id, vin: record.vin, timestamp: record.timestamp };
+    fields.forEach(field => {
+        selected[field] = record[field];
+    });
+    return selected;
+}
+
+// Group records into fixed buckets aligned to the epoch with min/avg/max per numeric field
+function downsample(records, intervalMs, fields) {
+    const buckets = new Map();
+
+    records.forEach(record => {
+        const start = Math.floor(record.timestamp.getTime() / intervalMs) * intervalMs;
+        if (!buckets.has(start)) {
+            buckets.set(start, { start: new Date(start), end: new Date(start + intervalMs), count: 0, stats: {} });
+        }
+        const bucket = buckets.get(start);
+        bucket.count++;
+
+        fields.forEach(field => {
+            const value = record[field];
+            if (typeof value !== 'number') {
+                return;
+            }
+            const stat = bucket.stats[field] || { min: value, max: value, sum: 0, count: 0 };
+            stat.min = Math.min(stat.min, value);
+            stat.max = Math.max(stat.max, value);
+            stat.sum += value;
+            stat.count++;
+            bucket.stats[field] = stat;
+        });
+    });
+
+    return Array.from(buckets.values()).map(bucket => {
+        const result = { start: bucket.start, end: bucket.end, count: bucket.count };
+        fields.forEach(field => {
+            const stat = bucket.stats[field];
+            result[field] = stat ?
+                { min: stat.min, avg: roundTo(stat.sum / stat.count), max: stat.max, count: stat.count } :
+                null;
+        });
+        return result;
+    });
+}
+
+// Combine two aggregates of the same hour; averages are weighted by their sample counts
+function mergeAggregates(a, b) {
+    const merged = { ...a, count: a.count + b.count };
+    TELEMETRY_NUMERIC_FIELDS.forEach(field => {
+        const x = a[field];
+        const y = b[field];
+        if (!x || !y) {
+            merged[field] = x || y || null;
+            return;
+        }
+        const count = x.count + y.count;
+        merged[field] = {
+            min: Math.min(x.min, y.min),
+            avg: roundTo((x.avg * x.count + y.avg * y.count) / count),
+            max: Math.max(x.max, y.max),
+            count
+        };
+    });
+    return merged;
+}
+
+// Move raw records older than the retention window into hourly aggregates
+function applyRetention(now = new Date()) {
+    const stats = { vehicles: 0, recordsRolledUp: 0, aggregatesWritten: 0 };
+    if (!(TELEMETRY_RETENTION_DAYS > 0)) {
+        return stats;
+    }
+
+    // Cut at an hour boundary so no hour is split between raw and aggregated data
+    const cutoff = new Date(Math.floor((now.getTime() - TELEMETRY_RETENTION_DAYS * 24 * HOUR_MS) / HOUR_MS) * HOUR_MS);
+
+    telemetryData.list().forEach(history => {
+        if (history.length === 0) {
+            return;
+        }
+        const vin = history[0].vin;
+        const splitAt = lowerBound(history, cutoff);
+        if (splitAt === 0) {
+            return;
+        }
+
+        const expired = history.slice(0, splitAt);
+        const existing = new Map(
+            (telemetryAggregates.get(vin) || []).map(bucket => [bucket.start.getTime(), bucket])
+        );
+
+        downsample(expired, HOUR_MS, TELEMETRY_NUMERIC_FIELDS).forEach(bucket => {
+            const key = bucket.start.getTime();
+            existing.set(key, existing.has(key) ? mergeAggregates(existing.get(key), bucket) : bucket);
+            stats.aggregatesWritten++;
+        });
+
+        telemetryAggregates.set(vin, Array.from(existing.values()).sort((a, b) => a.start - b.start));
+        telemetryData.set(vin, history.slice(splitAt));
+        // Message IDs of pruned records can no longer be checked for duplicates
+        messageIds.delete(vin);
+
+        stats.vehicles++;
+        stats.recordsRolledUp += expired.length;
+    });
+
+    return stats;
+}
+
+// Parses ?from=&to= into Dates (null when absent); returns { error } when invalid
+function parseDateRange(query) {
+    const from = query.from ? new Date(query.from) : null;
+    const to = query.to ? new Date(query.to) : null;
+    if ((from && isNaN(from.getTime())) || (to && isNaN(to.getTime()))) {
+        return { error: 'from and to must be valid dates' };
+    }
+    if (from && to && from > to) {
+        return { error: 'from must be before to' };
+    }
+    return { from, to };
+}
+
+// Vehicle search
+// GET /api/vehicles narrows the list with ?q= (partial/fuzzy across VIN, model, owner
+// and manufacturer), createdAt and last-seen ranges and bounds on the latest telemetry
+// values, then sorts and optionally pages through the result with an opaque cursor.
+
+const VEHICLE_SEARCH_FIELDS = ['vin', 'model', 'owner', 'manufacturer'];
+// Terms shorter than this only match as substrings
+const FUZZY_MIN_TERM_LENGTH = 4;
+const VEHICLE_PAGE_MAX_LIMIT = 500;
+const VEHICLE_PAGE_DEFAULT_LIMIT = 50;
+
+// Sort keys and how to read them from a search entry; nulls always sort last
+const VEHICLE_SORT_KEYS = {
+    vin: entry => entry.vehicle.vin,
+    manufacturer: entry => entry.vehicle.manufacturer.toLowerCase(),
+    model: entry => entry.vehicle.model.toLowerCase(),
+    owner: entry => entry.vehicle.owner.toLowerCase(),
+    fleetId: entry => entry.vehicle.fleetId,
+    registrationStatus: entry => entry.vehicle.registrationStatus,
+    createdAt: entry => entry.vehicle.createdAt.getTime(),
+    updatedAt: entry => entry.vehicle.updatedAt.getTime(),
+    lastSeen: entry => entry.lastSeen ? entry.lastSeen.getTime() : null,
+    relevance: entry => entry.score,
+    ...Object.fromEntries(ALERT_RULE_FIELDS.map(field => [field, entry => {
+        const value = entry.latest ? entry.latest[field] : null;
+        return typeof value === 'number' ? value : null;
+    }]))
+};
+
+// Levenshtein distance, giving up (returning max + 1) once it exceeds max
+function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) {
+        return max + 1;
+    }
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            rowMin = Math.min(rowMin, current[j]);
+        }
+        if (rowMin > max) {
+            return max + 1;
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+// 4 exact, 3 prefix, 2 substring, 1 typo-tolerant word match, 0 no match
+function matchScore(text, term) {
+    const value = String(text || '').toLowerCase();
+    if (value === term) {
+        return 4;
+    }
+    if (value.startsWith(term)) {
+        return 3;
+    }
+    if (value.includes(term)) {
+        return 2;
+    }
+    if (term.length >= FUZZY_MIN_TERM_LENGTH) {
+        const maxEdits = term.length >= 8 ? 2 : 1;
+        const words = value.split(/[^a-z0-9]+/).filter(Boolean);
+        if (words.some(word => editDistance(word, term, maxEdits) <= maxEdits)) {
+            return 1;
+        }
+    }
+    return 0;
+}
+
+// Every term has to match one of the search fields; the score adds up the best matches
+function searchScore(vehicle, terms) {
+    let score = 0;
+    for (const term of terms) {
+        const best = Math.max(...VEHICLE_SEARCH_FIELDS.map(field => matchScore(vehicle[field], term)));
+        if (best === 0) {
+            return 0;
+        }
+        score += best;
+    }
+    return score;
+}
+
+function encodeCursor(sort, entry) {
+    const payload = { sort, value: VEHICLE_SORT_KEYS[sort.replace(/^-/, '')](entry), vin: entry.vehicle.vin };
+    return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+    try {
+        const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        return payload && typeof payload.vin === 'string' ? payload : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Orders (value, vin) pairs: nulls last in either direction, VIN breaks ties
+function compareSortValues(valueA, vinA, valueB, vinB, descending) {
+    if (valueA !== valueB) {
+        if (valueA === null) {
+            return 1;
+        }
+        if (valueB === null) {
+            return -1;
+        }
+        const order = valueA < valueB ? -1 : 1;
+        return descending ? -order : order;
+    }
+    return vinA < vinB ? -1 : vinA > vinB ? 1 : 0;
+}
+
+// Turns the query string into search criteria; returns { errors } when invalid
+function parseVehicleSearch(query) {
+    const errors = [];
+    const criteria = {
+        terms: typeof query.q === 'string' ? query.q.toLowerCase().split(/\s+/).filter(Boolean) : [],
+        ranges: {},
+        telemetry: {}
+    };
+
+    [['createdAt', 'createdFrom', 'createdTo'], ['lastSeen', 'lastSeenFrom', 'lastSeenTo']].forEach(([field, fromKey, toKey]) => {
+        const range = parseDateRange({ from: query[fromKey], to: query[toKey] });
+        if (range.error) {
+            errors.push(`${fromKey} and ${toKey} must be valid dates with ${fromKey} before ${toKey}`);
+        } else if (range.from || range.to) {
+            criteria.ranges[field] = range;
+        }
+    });
+
+    ALERT_RULE_FIELDS.forEach(field => {
+        ['Min', 'Max'].forEach(bound => {
+            const raw = query[`${field}${bound}`];
+            if (raw === undefined) {
+                return;
+            }
+            const value = Number(raw);
+            if (raw === '' || !Number.isFinite(value)) {
+                errors.push(`${field}${bound} must be a number`);
+                return;
+            }
+            criteria.telemetry[field] = { ...criteria.telemetry[field], [bound.toLowerCase()]: value };
+        });
+    });
+
+    if (query.engineStatus !== undefined) {
+        if (!ENGINE_STATUSES.includes(query.engineStatus)) {
+            errors.push(`engineStatus must be one of: ${ENGINE_STATUSES.join(', ')}`);
+        } else {
+            criteria.engineStatus = query.engineStatus;
+        }
+    }
+
+    criteria.sort = query.sort || (criteria.terms.length > 0 ? '-relevance' : 'createdAt');
+    const sortKey = criteria.sort.replace(/^-/, '');
+    if (!VEHICLE_SORT_KEYS[sortKey]) {
+        errors.push(`sort must be one of: ${Object.keys(VEHICLE_SORT_KEYS).join(', ')} (prefix with - for descending)`);
+    } else if (sortKey === 'relevance' && criteria.terms.length === 0) {
+        errors.push('sort=relevance requires q');
+    }
+
+    if (query.limit !== undefined || query.cursor !== undefined) {
+        criteria.limit = query.limit !== undefined ? Number(query.limit) : VEHICLE_PAGE_DEFAULT_LIMIT;
+        if (!Number.isInteger(criteria.limit) || criteria.limit < 1 || criteria.limit > VEHICLE_PAGE_MAX_LIMIT) {
+            errors.push(`limit must be an integer between 1 and ${VEHICLE_PAGE_MAX_LIMIT}`);
+        }
+    }
+
+    if (query.cursor !== undefined) {
+        criteria.cursor = decodeCursor(query.cursor);
+        if (!criteria.cursor) {
+            errors.push('cursor is invalid');
+        } else if (criteria.cursor.sort !== criteria.sort) {
+            errors.push('cursor was issued for a different sort; repeat the original query parameters');
+        }
+    }
+
+    return errors.length > 0 ? { errors } : criteria;
+}
+
+function withinRange(date, range) {
+    if (!date) {
+        return false;
+    }
+    return (!range.from || date >= range.from) && (!range.to || date <= range.to);
+}
+
+// Applies the criteria to a vehicle list; returns the sorted matches (all pages)
+function searchVehicles(vehicleList, criteria) {
+    const telemetryFields = Object.keys(criteria.telemetry);
+    const sortKey = criteria.sort.replace(/^-/, '');
+    // The range estimate relearns the consumption model, so only derive it when asked for
+    const needsRange = telemetryFields.includes('estimatedRangeKm') || sortKey === 'estimatedRangeKm';
+
+    const entries = [];
+    vehicleList.forEach(vehicle => {
+        const score = criteria.terms.length > 0 ? searchScore(vehicle, criteria.terms) : null;
+        if (score === 0) {
+            return;
+        }
+
+        const history = getTelemetry(vehicle.vin);
+        const last = history.length > 0 ? history[history.length - 1] : null;
+        const lastSeen = last ? new Date(last.timestamp) : null;
+        if (criteria.ranges.createdAt && !withinRange(vehicle.createdAt, criteria.ranges.createdAt)) {
+            return;
+        }
+        if (criteria.ranges.lastSeen && !withinRange(lastSeen, criteria.ranges.lastSeen)) {
+            return;
+        }
+
+        const latest = last && needsRange ? withDerivedFields(last, vehicle) : last;
+        if (criteria.engineStatus && (!latest || latest.engineStatus !== criteria.engineStatus)) {
+            return;
+        }
+        const withinBounds = telemetryFields.every(field => {
+            const value = latest ? latest[field] : undefined;
+            const { min, max } = criteria.telemetry[field];
+            return typeof value === 'number' &&
+                (min === undefined || value >= min) && (max === undefined || value <= max);
+        });
+        if (!withinBounds) {
+            return;
+        }
+
+        entries.push({ vehicle, latest, lastSeen, score });
+    });
+
+    const descending = criteria.sort.startsWith('-');
+    const sortValue = VEHICLE_SORT_KEYS[sortKey];
+    return entries
+        .map(entry => ({ entry, value: sortValue(entry) }))
+        .sort((a, b) => compareSortValues(a.value, a.entry.vehicle.vin, b.value, b.entry.vehicle.vin, descending))
+        .map(item => item.entry);
+}
+
+// Keyset pagination: the page starts right after the (value, vin) pair in the cursor,
+// so inserts and deletes between requests neither repeat nor skip vehicles
+function pageOfVehicles(entries, criteria) {
+    if (criteria.limit === undefined) {
+        return { page: entries, nextCursor: null };
+    }
+    const descending = criteria.sort.startsWith('-');
+    const sortValue = VEHICLE_SORT_KEYS[criteria.sort.replace(/^-/, '')];
+    let start = 0;
+    if (criteria.cursor) {
+        const { value, vin } = criteria.cursor;
+        start = entries.findIndex(entry =>
+            compareSortValues(sortValue(entry), entry.vehicle.vin, value === undefined ? null : value, vin, descending) > 0);
+        if (start === -1) {
+            start = entries.length;
+        }
+    }
+    const page = entries.slice(start, start + criteria.limit);
+    const hasMore = start + criteria.limit < entries.length;
+    return {
+        page,
+        nextCursor: hasMore ? encodeCursor(criteria.sort, page[page.length - 1]) : null
+    };
+}
+
+// Vehicle import and export
+// Imports run every row through the same checks as POST /api/vehicles (or the update
+// route when upserting) and report each row separately; valid rows are applied even
+// when others fail. Exports stream the list filtered like GET /api/vehicles.
+
+const VEHICLE_IMPORT_MODES = ['create', 'upsert'];
+// Columns of an export; the same file can be imported again
+const VEHICLE_EXPORT_FIELDS = ['vin', ...VEHICLE_EDITABLE_FIELDS, 'createdAt', 'updatedAt'];
+
+// Creates or (with upsert) updates one vehicle; dryRun reports the outcome without saving
+function importVehicleRecord(record, principal, { upsert, dryRun }) {
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+        return { success: false, errors: ['Vehicle must be a JSON object'] };
+    }
+
+    const vin = record.vin;
+    const unknownFields = Object.keys(record)
+        .filter(key => !VEHICLE_EDITABLE_FIELDS.includes(key) && !VEHICLE_READONLY_FIELDS.includes(key));
+    if (unknownFields.length > 0) {
+        return { vin, success: false, errors: unknownFields.map(key => `Unknown field ${key}`) };
+    }
+
+    if (archivedVehicles.has(vin)) {
+        return { vin, success: false, message: 'Vehicle with this VIN was deleted; restore or purge it first' };
+    }
+
+    const existing = vehicles.get(vin);
+    if (existing && !upsert) {
+        return { vin, success: false, message: 'Vehicle with this VIN already exists' };
+    }
+
+    const data = {};
+    VEHICLE_EDITABLE_FIELDS
+        .filter(field => record[field] !== undefined)
+        .forEach(field => {
+            data[field] = record[field];
+        });
+
+    if (existing) {
+        if (!canAccessVehicle(principal, existing)) {
+            return { vin, success: false, message: 'Access denied for this vehicle' };
+        }
+        const errors = validateVehicleData({ ...existing, ...data });
+        if (errors.length > 0) {
+            return { vin, success: false, errors };
+        }
+        if (!canAccessVehicle(principal, { ...existing, ...data })) {
+            return { vin, success: false, message: 'Vehicles cannot be moved outside your own fleet' };
+        }
+        const changes = diffVehicle(existing, { ...existing, ...data });
+        if (!dryRun && changes.length > 0) {
+            existing.update(data);
+            vehicles.set(vin, existing);
+            recordVehicleAudit(vin, 'updated', principal, changes);
+        }
+        return { vin, success: true, action: changes.length > 0 ? 'updated' : 'unchanged', changes };
+    }
+
+    const errors = validateVehicleData({ vin, ...data });
+    if (errors.length > 0) {
+        return { vin, success: false, errors };
+    }
+    if (!canAccessVehicle(principal, { vin, ...data })) {
+        return { vin, success: false, message: 'Vehicles can only be created in your own fleet' };
+    }
+
+    const vehicle = new Vehicle(
+        vin,
+        data.manufacturer,
+        data.model,
+        data.fleetId,
+        data.owner,
+        data.registrationStatus,
+        data.fuelTankCapacity !== undefined ? data.fuelTankCapacity : null,
+        data.batteryCapacityKwh !== undefined ? data.batteryCapacityKwh : null
+    );
+    const changes = diffVehicle({}, vehicle);
+    if (!dryRun) {
+        vehicles.set(vin, vehicle);
+        telemetryData.set(vin, []);
+        recordVehicleAudit(vin, 'created', principal, changes);
+    }
+    return { vin, success: true, action: 'created', changes };
+}
+
+function csvField(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    const text = value instanceof Date ? value.toISOString() : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function exportedVehicle(vehicle) {
+    return Object.fromEntries(VEHICLE_EXPORT_FIELDS.map(field => [field, vehicle[field] === undefined ? null : vehicle[field]]));
+}
+
+// Resolves once the socket buffer drained, or the client went away
+function waitForDrain(res) {
+    return new Promise(resolve => {
+        const done = () => {
+            res.off('drain', done);
+            res.off('close', done);
+            resolve();
+        };
+        res.on('drain', done);
+        res.on('close', done);
+    });
+}
+
+// Writes the export in chunks of BATCH_CHUNK_SIZE vehicles, honouring backpressure
+// and yielding to the event loop between chunks
+async function streamVehicles(res, vehicleList, format) {
+    const csv = format === 'csv';
+    res.write(csv ? `${VEHICLE_EXPORT_FIELDS.join(',')}\r\n` : '[');
+
+    for (let start = 0; start < vehicleList.length; start += BATCH_CHUNK_SIZE) {
+        if (res.destroyed) {
+            return;
+        }
+        const chunk = vehicleList.slice(start, start + BATCH_CHUNK_SIZE).map((vehicle, i) => {
+            const row = exportedVehicle(vehicle);
+            return csv
+                ? `${VEHICLE_EXPORT_FIELDS.map(field => csvField(row[field])).join(',')}\r\n`
+                : `${start + i > 0 ? ',' : ''}\n${JSON.stringify(row)}`;
+        }).join('');
+        if (!res.write(chunk)) {
+            await waitForDrain(res);
+        }
+        await new Promise(resolve => setImmediate(resolve));
+    }
+
+    res.end(csv ? '' : '\n]\n');
+}
+
+// Authentication & authorization
+// Every /api route except /api/health needs an API key, sent as `X-API-Key: <key>`
+// or `Authorization: Bearer <key>`. Roles:
+//   admin         - full access
+//   fleet_manager - read/write limited to the vehicles of its fleetId
+//   device        - may only post telemetry for its own vin
+//   viewer        - read-only, optionally limited to a fleetId
+
+const API_KEY_ROLES = ['admin', 'fleet_manager', 'device', 'viewer'];
+const READ_ROLES = ['admin', 'fleet_manager', 'viewer'];
+const WRITE_ROLES = ['admin', 'fleet_manager'];
+
+function hashApiKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function issueApiKey(data) {
+    const key = `fm_${crypto.randomBytes(24).toString('hex')}`;
+    const apiKey = new ApiKey(data, hashApiKey(key));
+    apiKeys.set(apiKey.id, apiKey);
+    return { key, apiKey };
+}
+
+function extractApiKey(req) {
+    const header = req.get('authorization');
+    if (header && header.startsWith('Bearer ')) {
+        return header.slice('Bearer '.length).trim();
+    }
+    // Browsers' EventSource cannot send headers, so the stream also takes ?apiKey=
+    // (a repeated parameter arrives as an array and counts as no key)
+    if (req.path === '/stream' && typeof req.query.apiKey === 'string' && req.query.apiKey) {
+        return req.query.apiKey;
+    }
+    return req.get('x-api-key') || null;
+}
+
+const API_KEY_USAGE_PERSIST_MS = 5 * 60 * 1000;
+// API key id -> epoch ms lastUsedAt was last persisted
+const apiKeyUsagePersistedAt = new Map();
+
+function findPrincipal(key) {
+    // ADMIN_API_KEY lets operators configure a root key without touching storage
+    if (process.env.ADMIN_API_KEY) {
+        const expected = Buffer.from(hashApiKey(process.env.ADMIN_API_KEY));
+        const given = Buffer.from(hashApiKey(key));
+        if (crypto.timingSafeEqual(expected, given)) {
+            return { id: 'env-admin', name: 'ADMIN_API_KEY', role: 'admin', fleetId: null, vin: null };
+        }
+    }
+
+    const keyHash = hashApiKey(key);
+    const apiKey = apiKeys.list().find(k => k.keyHash === keyHash);
+    if (!apiKey) {
+        return null;
+    }
+
+    // lastUsedAt is tracked in memory on every request but only written to storage
+    // once per API_KEY_USAGE_PERSIST_MS, so reads do not rewrite the snapshot
+    apiKey.lastUsedAt = new Date();
+    const persistedAt = apiKeyUsagePersistedAt.get(apiKey.id) || 0;
+    if (apiKey.lastUsedAt - persistedAt >= API_KEY_USAGE_PERSIST_MS) {
+        apiKeyUsagePersistedAt.set(apiKey.id, apiKey.lastUsedAt.getTime());
+        apiKeys.set(apiKey.id, apiKey);
+    }
+    return {
+        id: apiKey.id,
+        name: apiKey.name,
+        role: apiKey.role,
+        fleetId: apiKey.fleetId,
+        vin: apiKey.vin
+    };
+}
+
+function authenticate(req, res, next) {
+    if (req.path === '/health') {
+        return next();
+    }
+
+    const key = extractApiKey(req);
+    if (!key) {
+        return res.status(401).json({
+            success: false,
+            message: 'API key required'
+        });
+    }
+
+    const principal = findPrincipal(key);
+    if (!principal) {
+        return res.status(401).json({
+            success: false,
+            message: 'Invalid API key'
+        });
+    }
+
+    req.principal = principal;
+    next();
+}
+
+function authorize(...roles) {
+    return (req, res, next) => {
+        if (!roles.includes(req.principal.role)) {
+            return res.status(403).json({
+                success: false,
+                message: `This operation requires one of the roles: ${roles.join(', ')}`
+            });
+        }
+        next();
+    };
+}
+
+// Fleet the caller is confined to, or null when it may see every fleet
+function principalFleetId(principal) {
+    return principal.role === 'admin' ? null : principal.fleetId;
+}
+
+function canAccessVehicle(principal, vehicle) {
+    if (principal.role === 'admin') {
+        return true;
+    }
+    if (principal.role === 'device') {
+        return vehicle.vin === principal.vin;
+    }
+    return !principal.fleetId || vehicle.fleetId === principal.fleetId;
+}
+
+// Alerts of purged vehicles are only visible to unscoped callers
+function canAccessAlert(principal, alert) {
+    const vehicle = findVehicle(alert.vin);
+    if (!vehicle) {
+        return principal.role !== 'device' && !principalFleetId(principal);
+    }
+    return canAccessVehicle(principal, vehicle);
+}
+
+// Alert rules and geofences: scoped callers may only manage entries of their own fleet
+function canManageFleetEntity(principal, entity) {
+    const fleetId = principalFleetId(principal);
+    return !fleetId || entity.fleetId === fleetId;
+}
+
+// Entries visible to a scoped caller: global ones plus those of its own fleet
+function canViewFleetEntity(principal, entity) {
+    const fleetId = principalFleetId(principal);
+    return !fleetId || !entity.fleetId || entity.fleetId === fleetId;
+}
+
+// A geofence pinned to a vin must also be on a vehicle the caller can access
+function canManageGeofence(principal, geofence) {
+    if (!canManageFleetEntity(principal, geofence)) {
+        return false;
+    }
+    const vehicle = geofence.vin ? vehicles.get(geofence.vin) : null;
+    return !vehicle || canAccessVehicle(principal, vehicle);
+}
+
+function accessDenied(res, message = 'Access denied') {
+    return res.status(403).json({
+        success: false,
+        message
+    });
+}
+
+function validateWebhookData(data) {
+    const errors = [];
+    
+    let url = null;
+    try {
+        url = new URL(data.url);
+    } catch (error) {
+        // reported below
+    }
+    if (!url || !['http:', 'https:'].includes(url.protocol)) {
+        errors.push('url is required and must be an http(s) URL');
+    }
+    
+    if (data.secret !== undefined && (typeof data.secret !== 'string' || data.secret.length < 16)) {
+        errors.push('secret must be a string of at least 16 characters');
+    }
+    
+    if (data.name !== undefined && data.name !== null && typeof data.name !== 'string') {
+        errors.push('name must be a string or null');
+    }
+    
+    validateFleetReference(data, errors);
+    
+    const isListOf = (value, allowed) => Array.isArray(value) && value.length > 0 &&
+        value.every(item => typeof item === 'string' && (!allowed || allowed.includes(item)));
+    
+    if (data.types !== undefined && data.types !== null && !isListOf(data.types)) {
+        errors.push('types must be a non-empty array of alert types or null');
+    }
+    
+    if (data.severities !== undefined && data.severities !== null && !isListOf(data.severities, ALERT_SEVERITIES)) {
+        errors.push(`severities must be a non-empty array of: ${ALERT_SEVERITIES.join(', ')}`);
+    }
+    
+    if (data.events !== undefined && !isListOf(data.events, WEBHOOK_EVENTS)) {
+        errors.push(`events must be a non-empty array of: ${WEBHOOK_EVENTS.join(', ')}`);
+    }
+    
+    if (data.enabled !== undefined && typeof data.enabled !== 'boolean') {
+        errors.push('enabled must be a boolean');
+    }
+    
+    return errors;
+}
+
+function validateApiKeyData(data) {
+    const errors = [];
+    
+    if (!data.name || typeof data.name !== 'string') {
+        errors.push('Name is required and must be a string');
+    }
+    
+    if (!API_KEY_ROLES.includes(data.role)) {
+        errors.push(`Role must be one of: ${API_KEY_ROLES.join(', ')}`);
+    }
+    
+    if (data.role === 'fleet_manager' && (!data.fleetId || typeof data.fleetId !== 'string')) {
+        errors.push('Fleet managers require a fleetId');
+    }
+    
+    if (data.role === 'device' && !vehicles.has(data.vin)) {
+        errors.push('Devices require the vin of an existing vehicle');
+    }
+    
+    if (data.role === 'viewer' && data.fleetId !== undefined && data.fleetId !== null && typeof data.fleetId !== 'string') {
+        errors.push('fleetId must be a string or null');
+    }
+    
+    return errors;
+}
+
+if (!process.env.ADMIN_API_KEY && apiKeys.count() === 0) {
+    const { key } = issueApiKey({ name: 'bootstrap-admin', role: 'admin' });
+    console.log(`No API keys configured. Bootstrap admin key (store it now, it is not shown again): ${key}`);
+}
+
+// API Routes
+
+app.use('/api', authenticate);
+
+// Every route with a :vin parameter is limited to vehicles inside the caller's scope
+app.param('vin', (req, res, next, vin) => {
+    const vehicle = findVehicle(vin);
+    if (vehicle && !canAccessVehicle(req.principal, vehicle)) {
+        return accessDenied(res, 'Access denied for this vehicle');
+    }
+    next();
+});
+
+// API Key Routes
+
+// Create API key (the plain key is only returned in this response)
+app.post('/api/auth/keys', authorize('admin'), (req, res) => {
+    try {
+        const validationErrors = validateApiKeyData(req.body);
+        if (validationErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                errors: validationErrors
+            });
+        }
+        
+        const { key, apiKey } = issueApiKey({
+            name: req.body.name,
+            role: req.body.role,
+            fleetId: ['fleet_manager', 'viewer'].includes(req.body.role) ? req.body.fleetId : null,
+            vin: req.body.role === 'device' ? req.body.vin : null
+        });
+        
+        res.status(201).json({
+            success: true,
+            data: { ...apiKey.toResponse(), key }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// List API keys
+app.get('/api/auth/keys', authorize('admin'), (req, res) => {
+    try {
+        const keyList = apiKeys.list().map(k => k.toResponse());
+        
+        res.json({
+            success: true,
+            data: keyList,
+            total: keyList.length
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// Revoke API key
+app.delete('/api/auth/keys/:keyId', authorize('admin'), (req, res) => {
+    try {
+        if (!apiKeys.delete(req.params.keyId)) {
+            return res.status(404).json({
+                success: false,
+                message: 'API key not found'
+            });
+        }
+        
+        res.json({
+            success: true,
+            message: 'API key revoked successfully'
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// Identity of the calling key
+app.get('/api/auth/me', (req, res) => {
+    res.json({
+        success: true,
+        data: req.principal
+    });
+});
+
+// Fleet Routes
+
+function canViewFleet(principal, fleet) {
+    const fleetId = principalFleetId(principal);
+    return principal.role !== 'device' && (!fleetId || fleet.id === fleetId);
+}
+
+// Local wall-clock time of a fleet, e.g. "2024-05-01 10:30:00"
+function fleetLocalTime(fleet, at = new Date()) {
+    return at.toLocaleString('sv-SE', { timeZone: fleet.timezone });
+}
+
+// Create fleet
+app.post('/api/fleets', authorize('admin'), (req, res) => {
+    try {
+        const data = req.body || {};
+        const validationErrors = validateFleetData(data);
+        if (validationErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                errors: validationErrors
+            });
+        }
+        
+        if (fleets.has(data.id)) {
+            return res.status(409).json({
+                success: false,
+                message: 'Fleet with this id already exists'
+            });
+        }
+        
+        const fleet = new Fleet(data);
+        fleets.set(fleet.id, fleet);
+        
+        res.status(201).json({
+            success: true,
+            data: fleet
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// List fleets
+app.get('/api/fleets', authorize(...READ_ROLES), (req, res) => {
+    try {
+        const fleetList = fleets.list()
+            .filter(f => canViewFleet(req.principal, f))
+            .map(f => ({ ...f, vehicleCount: vehiclesInScope(f.id).length }));
+        
+        res.json({
+            success: true,
+            data: fleetList,
+            total: fleetList.length
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// Get specific fleet
+app.get('/api/fleets/:fleetId', authorize(...READ_ROLES), (req, res) => {
+    try {
+        const fleet = fleets.get(req.params.fleetId);
+        if (!fleet || !canViewFleet(req.principal, fleet)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Fleet not found'
+            });
+        }
+        
+        res.json({
+            success: true,
+            data: fleet
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// Update fleet (the id is fixed; fleet managers may update their own fleet)
+app.put('/api/fleets/:fleetId', authorize(...WRITE_ROLES), (req, res) => {
+    try {
+        const fleet = fleets.get(req.params.fleetId);
+        if (!fleet || !canViewFleet(req.principal, fleet)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Fleet not found'
+            });
+        }
+        
+        const { id, ...updates } = req.body || {};
+        const validationErrors = validateFleetData(updates, true);
+        if (validationErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                errors: validationErrors
+            });
+        }
+        
+        fleet.update(updates);
+        fleets.set(fleet.id, fleet);
+        
+        res.json({
+            success: true,
+            data: fleet
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// Delete fleet (only once no vehicle or fleet-scoped entry refers to it)
+app.delete('/api/fleets/:fleetId', authorize('admin'), (req, res) => {
+    try {
+        if (!fleets.has(req.params.fleetId)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Fleet not found'
+            });
+        }
+        
+        const vehicleCount = vehiclesInScope(req.params.fleetId).length;
+        if (vehicleCount > 0) {
+            return res.status(409).json({
+                success: false,
+                message: `Fleet still has ${vehicleCount} vehicle(s); move or delete them first`
+            });
+        }
+        
+        // Keep every fleetId reference valid: entries scoped to the fleet block its deletion
+        const references = [['driver', drivers], ['alert rule', alertRules], ['geofence', geofences], ['webhook', webhooks]]
+            .map(([label, collection]) => [label, collection.list().filter(entry => entry.fleetId === req.params.fleetId).length])
+            .filter(([, count]) => count > 0)
+            .map(([label, count]) => `${count} ${label}(s)`);
+        if (references.length > 0) {
+            return res.status(409).json({
+                success: false,
+                message: `Fleet is still referenced by ${references.join(', ')}; reassign or delete them first`
+            });
+        }
+        
+        fleets.delete(req.params.fleetId);
+        
+        res.json({
+            success: true,
+            message: 'Fleet deleted successfully'
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// Vehicles of a fleet (filter: manufacturer, registrationStatus)
+app.get('/api/fleets/:fleetId/vehicles', authorize(...READ_ROLES), (req, res) => {
+    try {
+        const fleet = fleets.get(req.params.fleetId);
+        if (!fleet || !canViewFleet(req.principal, fleet)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Fleet not found'
+            });
+        }
+        
+        let vehicleList = vehiclesInScope(fleet.id);
+        
+        const { manufacturer, registrationStatus } = req.query;
+        
+        if (manufacturer) {
+            vehicleList = vehicleList.filter(v => v.manufacturer.toLowerCase() === manufacturer.toLowerCase());
+        }
+        
+        if (registrationStatus) {
+            vehicleList = vehicleList.filter(v => v.registrationStatus === registrationStatus);
+        }
+        
+        res.json({
+            success: true,
+            data: vehicleList,
+            total: vehicleList.length
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// Fleet overview: vehicles, drivers, open alerts and activity in a time window
+// (?from=&to= or ?hours=, default 24h)
+app.get('/api/fleets/:fleetId/summary', authorize(...READ_ROLES), (req, res) => {
+    try {
+        const fleet = fleets.get(req.params.fleetId);
+        if (!fleet || !canViewFleet(req.principal, fleet)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Fleet not found'
+            });
+        }
+        
+        const window = parseTimeWindow(req.query);
+        if (window.error) {
+            return res.status(400).json({
+                success: false,
+                message: window.error
+            });
+        }
+        
+        const vehicleList = vehiclesInScope(fleet.id);
+        const vins = new Set(vehicleList.map(v => v.vin));
+        const vehicleSummary = { total: vehicleList.length, byManufacturer: {}, byStatus: {} };
+        vehicleList.forEach(v => {
+            vehicleSummary.byManufacturer[v.manufacturer] = (vehicleSummary.byManufacturer[v.manufacturer] || 0) + 1;
+            vehicleSummary.byStatus[v.registrationStatus] = (vehicleSummary.byStatus[v.registrationStatus] || 0) + 1;
+        });
+        
+        const openAlerts = { total: 0, bySeverity: {} };
+        alerts.list()
+            .filter(a => vins.has(a.vin) && a.isOpen())
+            .forEach(a => {
+                openAlerts.total++;
+                openAlerts.bySeverity[a.severity] = (openAlerts.bySeverity[a.severity] || 0) + 1;
+            });
+        
+        const activity = computeActivity(vehicleList, window);
+        
+        res.json({
+            success: true,
+            data: {
+                fleet,
+                localTime: fleetLocalTime(fleet),
+                window: { from: window.from, to: window.to },
+                vehicles: vehicleSummary,
+                drivers: drivers.list().filter(d => d.fleetId === fleet.id).length,
+                openAlerts,
+                activity: { active: activity.active, inactive: activity.inactive },
+                energy: computeEnergyLevels(vehicleList, window),
+                totalDistanceKm: computeDistance(vehicleList, window).totalDistanceKm,
+                maintenanceDue: vehicleList.reduce((count, v) =>
+                    count + maintenanceForVehicle(v).filter(item => item.status !== 'ok').length, 0)
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// Vehicle Management Routes
+
+// Create vehicle
+app.post('/api/vehicles', authorize(...WRITE_ROLES), (req, res) => {
+    try {
+        const validationErrors = validateVehicleData(req.body);
+        if (validationErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                errors: validationErrors
+            });
+        }
+        
+        if (!canAccessVehicle(req.principal, req.body)) {
+            return accessDenied(res, 'Vehicles can only be created in your own fleet');
+        }
+        
+        if (vehicles.has(req.body.vin)) {
+            return res.status(409).json({
+                success: false,
+                message: 'Vehicle with this VIN already exists'
+            });
+        }
+        
+        if (archivedVehicles.has(req.body.vin)) {
+            return res.status(409).json({
+                success: false,
+                message: 'Vehicle with this VIN was deleted; restore or purge it first'
+            });
+        }
+        
+        const vehicle = new Vehicle(
+            req.body.vin,
+            req.body.manufacturer,
+            req.body.model,
+            req.body.fleetId,
+            req.body.owner,
+            req.body.registrationStatus,
+            req.body.fuelTankCapacity !== undefined ? req.body.fuelTankCapacity : null,
+            req.body.batteryCapacityKwh !== undefined ? req.body.batteryCapacityKwh : null
+        );
+        
+        vehicles.set(vehicle.vin, vehicle);
+        telemetryData.set(vehicle.vin, []);
+        recordVehicleAudit(vehicle.vin, 'created', req.principal, diffVehicle({}, vehicle));
+        
+        res.set('ETag', vehicleETag(vehicle));
+        res.status(201).json({
+            success: true,
+            data: vehicle
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// Bulk create (or with ?mode=upsert, create-or-update) vehicles from CSV (text/csv) or
+// JSON ({ vehicles: [...] } or a bare array). ?dryRun=true validates without saving.
+app.post('/api/vehicles/import', authorize(...WRITE_ROLES), bulkTextParser, async (req, res) => {
+    try {
+        const mode = req.query.mode || 'create';
+        if (!VEHICLE_IMPORT_MODES.includes(mode)) {
+            return res.status(400).json({
+                success: false,
+                message: `mode must be one of: ${VEHICLE_IMPORT_MODES.join(', ')}`
+            });
+        }
+        const dryRun = req.query.dryRun === 'true';
+        
+        const parsed = parseBulkVehicles(req);
+        if (parsed.error) {
+            return res.status(400).json({
+                success: false,
+                message: parsed.error
+            });
+        }
+        
+        if (parsed.entries.length > MAX_BATCH_RECORDS) {
+            return res.status(413).json({
+                success: false,
+                message: `An import may contain at most ${MAX_BATCH_RECORDS} vehicles`
+            });
+        }
+        
+        const results = [];
+        const seen = new Map();
+        
+        for (let start = 0; start < parsed.entries.length; start += BATCH_CHUNK_SIZE) {
+            if (start > 0) {
+                await new Promise(resolve => setImmediate(resolve));
+            }
+            
+            parsed.entries.slice(start, start + BATCH_CHUNK_SIZE).forEach(({ index, record }) => {
+                const vin = record ? record.vin : undefined;
+                if (typeof vin === 'string' && seen.has(vin)) {
+                    results.push({
+                        index,
+                        vin,
+                        success: false,
+                        message: `Duplicate VIN; already in row ${seen.get(vin)}`
+                    });
+                    return;
+                }
+                if (typeof vin === 'string') {
+                    seen.set(vin, index);
+                }
+                
+                results.push({ index, ...importVehicleRecord(record, req.principal, { upsert: mode === 'upsert', dryRun }) });
+            });
+        }
+        
+        const accepted = results.filter(r => r.success).length;
+        const countAction = action => results.filter(r => r.action === action).length;
+        
+        res.status(accepted === 0 && results.length > 0 ? 400 : dryRun ? 200 : 201).json({
+            success: accepted > 0 || results.length === 0,
+            dryRun,
+            mode,
+            data: results,
+            total: results.length,
+            created: countAction('created'),
+            updated: countAction('updated'),
+            unchanged: countAction('unchanged'),
+            rejected: results.length - accepted
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// Vehicles visible to the caller that pass the list filters and search criteria, sorted
+function matchingVehicles(req, criteria) {
+    let vehicleList = vehicles.list();
+    if (req.query.includeDeleted === 'true') {
+        vehicleList = vehicleList.concat(archivedVehicles.list());
+    }
+    vehicleList = vehicleList.filter(v => canAccessVehicle(req.principal, v));
+    
+    // Apply filters
+    const { manufacturer, fleetId, registrationStatus } = req.query;
+    
+    if (manufacturer) {
+        vehicleList = vehicleList.filter(v => 
+            v.manufacturer.toLowerCase() === manufacturer.toLowerCase()
+        );
+    }
+    
+    if (fleetId) {
+        vehicleList = vehicleList.filter(v => v.fleetId === fleetId);
+    }
+    
+    if (registrationStatus) {
+        vehicleList = vehicleList.filter(v => v.registrationStatus === registrationStatus);
+    }
+    
+    return searchVehicles(vehicleList, criteria);
+}
+
+// List all vehicles with optional filtering, search, sorting and cursor pagination
+// (see parseVehicleSearch); summary covers every match, not just the returned page
+app.get('/api/vehicles', authorize(...READ_ROLES), (req, res) => {
+    try {
+        const criteria = parseVehicleSearch(req.query);
+        if (criteria.errors) {
+            return res.status(400).json({
+                success: false,
+                errors: criteria.errors
+            });
+        }
+        
+        const matches = matchingVehicles(req, criteria);
+        const vehicleList = matches.map(entry => entry.vehicle);
+        
+        // Summary statistics
+        const summary = {
+            total: vehicleList.length,
+            byManufacturer: {},
+            byFleet: {},
+            byStatus: {}
+        };
+        
+        vehicleList.forEach(v => {
+            summary.byManufacturer[v.manufacturer] = (summary.byManufacturer[v.manufacturer] || 0) + 1;
+            summary.byFleet[v.fleetId] = (summary.byFleet[v.fleetId] || 0) + 1;
+            summary.byStatus[v.registrationStatus] = (summary.byStatus[v.registrationStatus] || 0) + 1;
+        });
+        
+        const { page, nextCursor } = pageOfVehicles(matches, criteria);
+        
+        res.json({
+            success: true,
+            data: page.map(entry => entry.vehicle),
+            total: vehicleList.length,
+            summary: summary,
+            pagination: {
+                sort: criteria.sort,
+                limit: criteria.limit !== undefined ? criteria.limit : null,
+                nextCursor
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// Stream the vehicle list as ?format=json (default) or csv. Takes the same filters,
+// search and sort as GET /api/vehicles but no pagination: every match is exported.
+app.get('/api/vehicles/export', authorize(...READ_ROLES), async (req, res) => {
+    try {
+        const format = req.query.format || 'json';
+        if (!['json', 'csv'].includes(format)) {
+            return res.status(400).json({
+                success: false,
+                message: 'format must be json or csv'
+            });
+        }
+        
+        const criteria = parseVehicleSearch(req.query);
+        if (criteria.errors) {
+            return res.status(400).json({
+                success: false,
+                errors: criteria.errors
+            });
+        }
+        
+        const vehicleList = matchingVehicles(req, criteria).map(entry => entry.vehicle);
+        
+        res.set({
+            'Content-Type': format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8',
+            'Content-Disposition': `attachment; filename="vehicles-${new Date().toISOString().slice(0, 10)}.${format}"`,
+            'X-Total-Count': String(vehicleList.length)
+        });
+        await streamVehicles(res, vehicleList, format);
+    } catch (error) {
+        // Once streaming started the status is sent; cut the response short instead
+        if (res.headersSent) {
+            return res.destroy();
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// Get specific vehicle
+app.get('/api/vehicles/:vin', authorize(...READ_ROLES), (req, res) => {
+    try {
+        const vehicle = req.query.includeDeleted === 'true' ? findVehicle(req.params.vin) : vehicles.get(req.params.vin);
+        if (!vehicle) {
+            return res.status(404).json({
+                success: false,
+                message: 'Vehicle not found'
+            });
+        }
+        
+        res.set('ETag', vehicleETag(vehicle));
+        res.json({
+            success: true,
+            data: { ...vehicle, connectivity: connectivityStatus(vehicle) }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// Update vehicle
+// PUT and PATCH both take a partial body: only the supplied fields change, and the
+// result must pass the same validation as a new vehicle. Send the ETag of the last
+// read as If-Match to fail with 412 instead of overwriting someone else's change.
+function updateVehicle(req, res) {
+    try {
+        const vehicle = vehicles.get(req.params.vin);
+        if (!vehicle) {
+            return res.status(404).json({
+                success: false,
+                message: 'Vehicle not found'
+            });
+        }
+        
+        if (!ifMatchSatisfied(req, vehicle)) {
+            res.set('ETag', vehicleETag(vehicle));
+            return res.status(412).json({
+                success: false,
+                message: 'Vehicle was modified since it was read; fetch it again and retry',
+                data: vehicle
+            });
+        }
+        
+        const body = req.body || {};
+        const errors = [];
+        if (body.vin !== undefined && body.vin !== vehicle.vin) {
+            errors.push('VIN cannot be changed');
+        }
+        Object.keys(body)
+            .filter(key => !VEHICLE_EDITABLE_FIELDS.includes(key) && !VEHICLE_READONLY_FIELDS.includes(key))
+            .forEach(key => errors.push(`Unknown field ${key}`));
+        
+        const updateData = {};
+        VEHICLE_EDITABLE_FIELDS
+            .filter(field => body[field] !== undefined)
+            .forEach(field => {
+                updateData[field] = body[field];
+            });
+        
+        errors.push(...validateVehicleData({ ...vehicle, ...updateData }));
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                errors
+            });
+        }
+        
+        if (updateData.fleetId !== undefined && !canAccessVehicle(req.principal, { ...vehicle, fleetId: updateData.fleetId })) {
+            return accessDenied(res, 'Vehicles cannot be moved outside your own fleet');
+        }
+        
+        const changes = diffVehicle(vehicle, { ...vehicle, ...updateData });
+        if (changes.length > 0) {
+            vehicle.update(updateData);
+            vehicles.set(vehicle.vin, vehicle);
+            recordVehicleAudit(vehicle.vin, 'updated', req.principal, changes);
+        }
+        
+        res.set('ETag', vehicleETag(vehicle));
+        res.json({
+            success: true,
+            data: vehicle,
+            changes
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+}
+
+app.put('/api/vehicles/:vin', authorize(...WRITE_ROLES), updateVehicle);
+app.patch('/api/vehicles/:vin', authorize(...WRITE_ROLES), updateVehicle);
+
+// Change history of a vehicle, newest first (filter: field, from/to)
+// Entries of purged vehicles stay readable for unscoped callers.
+app.get('/api/vehicles/:vin/audit', authorize(...READ_ROLES), (req, res) => {
+    try {
+        const vehicle = findVehicle(req.params.vin);
+        let entries = vehicleAudit.get(req.params.vin) || [];
+        if ((!vehicle && entries.length === 0) || (!vehicle && principalFleetId(req.principal))) {
+            return res.status(404).json({
+                success: false,
+                message: 'Vehicle not found'
+            });
+        }
+        
+        const { from, to, error } = parseDateRange(req.query);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+        
+        if (req.query.field) {
+            entries = entries.filter(e => e.changes.some(c => c.field === req.query.field));
+        }
+        
+        if (from) {
+            entries = entries.filter(e => e.at >= from);
+        }
+        
+        if (to) {
+            entries = entries.filter(e => e.at <= to);
+        }
+        
+        entries = entries.slice().reverse();
+        
+        res.json({
+            success: true,
+            data: entries,
+            total: entries.length
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// Delete (decommission) vehicle
+// The vehicle moves to the archive: its telemetry, trips, alerts and audit trail stay
+// queryable, open alerts are resolved and current driver assignments are ended.
+app.delete('/api/vehicles/:vin', authorize(...WRITE_ROLES), (req, res) => {
+    try {
+        const vehicle = vehicles.get(req.params.vin);
+        if (!vehicle) {
+            return res.status(404).json({
+                success: false,
+                message: 'Vehicle not found'
+            });
+        }
+        
+        const now = new Date();
+        
+        // Resolved while the vehicle is still active, so webhook and stream filters
+        // that look the vehicle up still match its fleet
+        const alertsResolved = alerts.list().filter(a => a.vin === vehicle.vin && a.isOpen());
+        alertsResolved.forEach(alert => {
+            alert.transitionTo('Resolved', 'vehicle_deleted', now);
+            alerts.set(alert.id, alert);
+            indexOpenAlert(alert);
+            publishAlert('resolved', alert);
+        });
+        
+        const before = { ...vehicle };
+        vehicle.statusBeforeDeletion = vehicle.registrationStatus;
+        vehicle.registrationStatus = 'Decommissioned';
+        vehicle.deletedAt = now;
+        vehicle.updatedAt = now;
+        vehicles.delete(vehicle.vin);
+        archivedVehicles.set(vehicle.vin, vehicle);
+        
+        const assignmentsEnded = assignmentsForVehicle(vehicle.vin).filter(a => !a.endAt || a.endAt > now);
+        assignmentsEnded.forEach(assignment => {
+            assignment.endAt = now;
+            driverAssignments.set(assignment.id, assignment);
+        });
+        
+        recordVehicleAudit(vehicle.vin, 'deleted', req.principal, diffVehicle(before, vehicle));
+        
+        res.json({
+            success: true,
+            message: 'Vehicle deleted successfully',
+            data: {
+                vin: vehicle.vin,
+                deletedAt: now,
+                alertsResolved: alertsResolved.length,
+                assignmentsEnded: assignmentsEnded.length
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// Restore a deleted vehicle with the registration status it had before
+app.post('/api/vehicles/:vin/restore', authorize(...WRITE_ROLES), (req, res) => {
+    try {
+        if (vehicles.has(req.params.vin)) {
+            return res.status(409).json({
+                success: false,
+                message: 'Vehicle is not deleted'
+            });
+        }
+        
+        const vehicle = archivedVehicles.get(req.params.vin);
+        if (!vehicle) {
+            return res.status(404).json({
+                success: false,
+                message: 'Vehicle not found'
+            });
+        }
+        
+        if (!fleets.has(vehicle.fleetId)) {
+            return res.status(409).json({
+                success: false,
+                message: `Fleet ${vehicle.fleetId} no longer exists; create it before restoring`
+            });
+        }
+        
+        const before = { ...vehicle };
+        vehicle.registrationStatus = vehicle.statusBeforeDeletion || 'Active';
+        delete vehicle.statusBeforeDeletion;
+        delete vehicle.deletedAt;
+        vehicle.updatedAt = new Date();
+        archivedVehicles.delete(vehicle.vin);
+        vehicles.set(vehicle.vin, vehicle);
+        recordVehicleAudit(vehicle.vin, 'restored', req.principal, diffVehicle(before, vehicle));
+        
+        res.set('ETag', vehicleETag(vehicle));
+        res.json({
+            success: true,
+            data: vehicle
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// Permanently remove a vehicle (active or deleted) and everything recorded about it
+app.delete('/api/vehicles/:vin/purge', authorize('admin'), (req, res) => {
+    try {
+        const vin = req.params.vin;
+        if (!findVehicle(vin) && !vehicleAudit.has(vin)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Vehicle not found'
+            });
+        }
+        
+        const vehicleAlerts = alerts.list().filter(a => a.vin === vin);
+        const alertIds = new Set(vehicleAlerts.map(a => a.id));
+        const removed = {
+            telemetryRecords: getTelemetry(vin).length,
+            alerts: vehicleAlerts.length,
+            serviceRecords: 0,
+            assignments: 0,
+            webhookDeliveries: 0,
+            apiKeys: 0,
+            geofences: 0
+        };
+        
+        vehicles.delete(vin);
+        archivedVehicles.delete(vin);
+        clearTelemetry(vin);
+        vehicleAudit.delete(vin);
+        vehicleAlerts.forEach(a => alerts.delete(a.id));
+        serviceRecordsFor(vin).forEach(record => {
+            serviceRecords.delete(record.id);
+            removed.serviceRecords++;
+        });
+        assignmentsForVehicle(vin).forEach(assignment => {
+            driverAssignments.delete(assignment.id);
+            removed.assignments++;
+        });
+        // Logged webhook payloads carry copies of the alerts
+        webhookDeliveries.list()
+            .filter(d => d.payload && d.payload.data && alertIds.has(d.payload.data.id))
+            .forEach(d => {
+                clearTimeout(deliveryTimers.get(d.id));
+                deliveryTimers.delete(d.id);
+                webhookDeliveries.delete(d.id);
+                removed.webhookDeliveries++;
+            });
+        // A vehicle created later with the same VIN must not inherit device keys or geofences
+        apiKeys.list()
+            .filter(key => key.vin === vin)
+            .forEach(key => {
+                apiKeys.delete(key.id);
+                apiKeyUsagePersistedAt.delete(key.id);
+                removed.apiKeys++;
+            });
+        geofences.list()
+            .filter(fence => fence.vin === vin)
+            .forEach(fence => {
+                geofences.delete(fence.id);
+                removed.geofences++;
+            });
+        
+        res.json({
+            success: true,
+            message: 'Vehicle purged successfully',
+            data: { vin, removed }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// Trip history for a vehicle (?from=&to= filter on trip start, newest first)
+app.get('/api/vehicles/:vin/trips', authorize(...READ_ROLES), (req, res) => {
+    try {
+        if (!findVehicle(req.params.vin)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Vehicle not found'
+            });
+        }
+        
+        const { from, to, error } = parseDateRange(req.query);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+        
+        let trips = tripsForVehicle(req.params.vin);
+        
+        if (from) {
+            trips = trips.filter(t => t.startTime >= from);
+        }
+        
+        if (to) {
+            trips = trips.filter(t => t.startTime <= to);
+        }
+        
+        trips.reverse();
+        
+        if (req.query.limit) {
+            trips = trips.slice(0, parseInt(req.query.limit));
+        }
+        
+        res.json({
+            success: true,
+            data: trips,
+            total: trips.length,
+            totalDistanceKm: roundTo(trips.reduce((sum, t) => sum + t.distanceKm, 0))
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// Driving behaviour score of a vehicle (?from=&to= or ?hours=, default 24h)
+app.get('/api/vehicles/:vin/behaviour', authorize(...READ_ROLES), (req, res) => {
+    try {
+        const vehicle = findVehicle(req.params.vin);
+        if (!vehicle) {
+            return res.status(404).json({
+                success: false,
+                message: 'Vehicle not found'
+            });
+        }
+        
+        const window = parseTimeWindow(req.query);
+        if (window.error) {
+            return res.status(400).json({
+                success: false,
+                message: window.error
+            });
+        }
+        
+        res.json({
+            success: true,
+            filters: { from: window.from, to: window.to },
+            data: { vin: vehicle.vin, ...behaviourForVehicle(vehicle, window) }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// Charging sessions of a vehicle (?from=&to= filter on session start, newest first)
+app.get('/api/vehicles/:vin/charging-sessions', authorize(...READ_ROLES), (req, res) => {
+    try {
+        const vehicle = findVehicle(req.params.vin);
+        if (!vehicle) {
+            return res.status(404).json({
+                success: false,
+                message: 'Vehicle not found'
+            });
+        }
+        
+        const { from, to, error } = parseDateRange(req.query);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+        
+        let sessions = chargingSessionsForVehicle(vehicle);
+        
+        if (from) {
+            sessions = sessions.filter(s => s.startTime >= from);
+        }
+        
+        if (to) {
+            sessions = sessions.filter(s => s.startTime <= to);
+        }
+        
+        sessions.reverse();
+        
+        if (req.query.limit) {
+            sessions = sessions.slice(0, parseInt(req.query.limit));
+        }
+        
+        const kWh = sessions.map(s => s.kWhAdded).filter(v => v !== null);
+        
+        res.json({
+            success: true,
+            data: sessions,
+            total: sessions.length,
+            totalKwhAdded: kWh.length > 0 ? roundTo(kWh.reduce((sum, v) => sum + v, 0)) : null
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// Fuel report for a vehicle (?from=&to= or ?hours=, default 24h)
+app.get('/api/vehicles/:vin/fuel', authorize(...READ_ROLES), (req, res) => {
+    try {
+        const vehicle = findVehicle(req.params.vin);
+        if (!vehicle) {
+            return res.status(404).json({
+                success: false,
+                message: 'Vehicle not found'
+            });
+        }
+        
+        const window = parseTimeWindow(req.query);
+        if (window.error) {
+            return res.status(400).json({
+                success: false,
+                message: window.error
+            });
+        }
+        
+        res.json({
+            success: true,
+            filters: { from: window.from, to: window.to },
+            data: computeFuelReport(vehicle, window.from, window.to)
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// Refuel and suspected drop events of a vehicle, newest first (filter: type, from/to)
+app.get('/api/vehicles/:vin/fuel-events', authorize(...READ_ROLES), (req, res) => {
+    try {
+        if (!findVehicle(req.params.vin)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Vehicle not found'
+            });
+        }
+        
+        const { from, to, error } = parseDateRange(req.query);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+        
+        let events = fuelEventsInRange(req.params.vin, from, to);
+        
+        if (req.query.type) {
+            events = events.filter(e => e.type === req.query.type);
+        }
+        
+        events = events.slice().reverse();
+        
+        res.json({
+            success: true,
+            data: events,
+            total: events.length
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// Active and cleared diagnostic trouble codes for a vehicle
+app.get('/api/vehicles/:vin/diagnostics', authorize(...READ_ROLES), (req, res) => {
+    try {
+        if (!findVehicle(req.params.vin)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Vehicle not found'
+            });
+        }
+        
+        const state = diagnostics.get(req.params.vin) || { active: {}, cleared: [] };
+        const active = Object.values(state.active).sort((a, b) => b.firstSeen - a.firstSeen);
+        
+        res.json({
+            success: true,
+            data: {
+                active,
+                cleared: state.cleared
+            },
+            totalActive: active.length,
+            totalCleared: state.cleared.length
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// Decode a diagnostic trouble code
+app.get('/api/diagnostics/codes/:code', authorize(...READ_ROLES), (req, res) => {
+    try {
+        const decoded = decodeDtc(req.params.code);
+        if (!decoded) {
+            return res.status(400).json({
+                success: false,
+                message: 'Code must look like P0301 (P, B, C or U, then 4 characters)'
+            });
+        }
+        
+        res.json({
+            success: true,
+            data: decoded
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// Telemetry Data Routes
+
+// Receive telemetry data for multiple vehicles
+// Registered before /api/telemetry/:vin so "batch" is not taken for a VIN.
+// Accepts JSON ({ records: [...] } or a bare array), NDJSON (application/x-ndjson)
+// and CSV (text/csv). Records are processed in chunks, yielding to the event loop
+// between chunks so large uploads do not block other requests.
+app.post('/api/telemetry/batch', authorize(...WRITE_ROLES, 'device'), bulkTextParser, async (req, res) => {
+    try {
+        const parsed = parseBulkTelemetry(req);
+        if (parsed.error) {
+            return res.status(400).json({
+                success: false,
+                message: parsed.error
+            });
+        }
+        
+        if (parsed.entries.length > MAX_BATCH_RECORDS) {
+            return res.status(413).json({
+                success: false,
+                message: `A batch may contain at most ${MAX_BATCH_RECORDS} records`
+            });
+        }
+        
+        const results = [];
+        const alertOutcome = createAlertOutcome();
+        
+        for (let start = 0; start < parsed.entries.length; start += BATCH_CHUNK_SIZE) {
+            if (start > 0) {
+                await new Promise(resolve => setImmediate(resolve));
+            }
+            
+            parsed.entries.slice(start, start + BATCH_CHUNK_SIZE).forEach(({ index, record, error }) => {
+                const vin = record ? record.vin : undefined;
+                
+                if (error) {
+                    results.push({
+                        index,
+                        success: false,
+                        errors: [error]
+                    });
+                    return;
+                }
+                
+                const vehicle = vehicles.get(vin);
+                
+                if (!vehicle) {
+                    results.push({
+                        index,
+                        vin,
+                        success: false,
+                        message: 'Vehicle not found'
+                    });
+                    return;
+                }
+                
+                if (!canAccessVehicle(req.principal, vehicle)) {
+                    results.push({
+                        index,
+                        vin,
+                        success: false,
+                        message: 'Access denied for this vehicle'
+                    });
+                    return;
+                }
+                
+                const ingested = ingestTelemetry(vin, record);
+                if (ingested.errors) {
+                    results.push({
+                        index,
+                        vin,
+                        success: false,
+                        errors: ingested.errors
+                    });
+                    return;
+                }
+                
+                mergeAlertOutcome(alertOutcome, ingested.alertOutcome);
+                
+                results.push({
+                    index,
+                    vin,
+                    success: true,
+                    duplicate: ingested.duplicate,
+                    telemetry: ingested.telemetry
+                });
+            });
+        }
+        
+        const accepted = results.filter(r => r.success).length;
+        
+        res.status(accepted > 0 || results.length === 0 ? 201 : 400).json({
+            success: accepted > 0 || results.length === 0,
+            data: results,
+            total: results.length,
+            accepted,
+            rejected: results.length - accepted,
+            duplicates: results.filter(r => r.duplicate).length,
+            totalAlertsGenerated: alertOutcome.opened.length,
+            alerts: alertOutcome.opened,
+            alertsUpdated: alertOutcome.updated,
+            alertsResolved: alertOutcome.resolved
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// Receive telemetry data for a vehicle
+app.post('/api/telemetry/:vin', authorize(...WRITE_ROLES, 'device'), (req, res) => {
+    try {
+        const vin = req.params.vin;
+        
+        if (!vehicles.has(vin)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Vehicle not found'
+            });
+        }
+        
+        const { errors, telemetry, duplicate, alertOutcome } = ingestTelemetry(vin, req.body);
+        if (errors) {
+            return res.status(400).json({
+                success: false,
+                errors
+            });
+        }
+        
+        // A retried message is acknowledged with the originally stored record
+        res.status(duplicate ? 200 : 201).json({
+            success: true,
+            duplicate,
+            data: telemetry,
+            alertsGenerated: alertOutcome.opened,
+            alertsUpdated: alertOutcome.updated,
+            alertsResolved: alertOutcome.resolved
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// Roll raw telemetry past the retention window into hourly aggregates now
+// (three path segments, so it does not collide with POST /api/telemetry/:vin)
+app.post('/api/telemetry/retention/run', authorize('admin'), (req, res) => {
+    try {
+        res.json({
+            success: true,
+            retentionDays: TELEMETRY_RETENTION_DAYS,
+            data: applyRetention()
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// Get telemetry history for a vehicle
+// ?from=&to=  ?fields=speed,fuelLevel  ?order=asc|desc (default desc)  ?limit=&offset=
+// ?interval=5m switches to downsampled buckets with min/avg/max per numeric field
+app.get('/api/telemetry/:vin', authorize(...READ_ROLES), (req, res) => {
+    try {
+        if (!findVehicle(req.params.vin)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Vehicle not found'
+            });
+        }
+        
+        const { from, to, error } = parseDateRange(req.query);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+        
+        const { limit, offset, order = 'desc', interval } = req.query;
+        const fields = parseListParam(req.query.fields);
+        
+        if (!['asc', 'desc'].includes(order)) {
+            return res.status(400).json({
+                success: false,
+                message: 'order must be asc or desc'
+            });
+        }
+        
+        const unknownFields = fields.filter(f => !TELEMETRY_FIELDS.includes(f));
+        if (unknownFields.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `fields must be a subset of: ${TELEMETRY_FIELDS.join(', ')}`
+            });
+        }
+        
+        const records = telemetryInRange(req.params.vin, from, to);
+        let result;
+        
+        if (interval) {
+            const intervalMs = parseInterval(interval);
+            if (!intervalMs) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'interval must look like 30s, 5m, 1h or 1d'
+                });
+            }
+            
+            const numericFields = fields.length > 0 ? fields : TELEMETRY_NUMERIC_FIELDS;
+            if (numericFields.some(f => !TELEMETRY_NUMERIC_FIELDS.includes(f))) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Only numeric fields can be downsampled: ${TELEMETRY_NUMERIC_FIELDS.join(', ')}`
+                });
+            }
+            
+            if (records.length > 0 &&
+                (records[records.length - 1].timestamp - records[0].timestamp) / intervalMs > MAX_DOWNSAMPLE_BUCKETS) {
+                return res.status(400).json({
+                    success: false,
+                    message: `interval is too small for this range (max ${MAX_DOWNSAMPLE_BUCKETS} buckets)`
+                });
+            }
+            
+            result = downsample(records, intervalMs, numericFields);
+        } else {
+            result = fields.length > 0 ? records.map(r => selectFields(r, fields)) : records.slice();
+        }
+        
+        const total = result.length;
+        
+        if (order === 'desc') {
+            result.reverse();
+        }
+        
+        if (offset) {
+            result = result.slice(parseInt(offset));
+        }
+        
+        if (limit) {
+            result = result.slice(0, parseInt(limit));
+        }
+        
+        res.json({
+            success: true,
+            data: result,
+            total
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// Hourly aggregates of telemetry that has passed the retention window
+app.get('/api/telemetry/:vin/hourly', authorize(...READ_ROLES), (req, res) => {
+    try {
+        if (!findVehicle(req.params.vin)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Vehicle not found'
+            });
+        }
+        
+        const { from, to, error } = parseDateRange(req.query);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+        
+        let buckets = telemetryAggregates.get(req.params.vin) || [];
+        
+        if (from) {
+            buckets = buckets.filter(b => b.start >= from);
+        }
+        
+        if (to) {
+            buckets = buckets.filter(b => b.start <= to);
+        }
+        
+        res.json({
+            success: true,
+            data: buckets,
+            total: buckets.length
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// Get latest telemetry for a vehicle
+app.get('/api/telemetry/:vin/latest', authorize(...READ_ROLES), (req, res) => {
+    try {
+        if (!findVehicle(req.params.vin)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Vehicle not found'
+            });
+        }
+        
+        const vehicleTelemetry = getTelemetry(req.params.vin);
+        const latest = vehicleTelemetry.length > 0 ? 
+            vehicleTelemetry[vehicleTelemetry.length - 1] : null;
+        
+        if (!latest) {
+            return res.status(404).json({
+                success: false,
+                message: 'No telemetry data found for this vehicle'
+            });
+        }
+        
+        res.json({
+            success: true,
+            data: latest,
+            range: estimateRange(findVehicle(req.params.vin), latest)
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// Alert Routes
+
+// Get all alerts with optional filtering
+app.get('/api/alerts', authorize(...READ_ROLES), (req, res) => {
+    try {
+        let alertList = alerts.list().filter(a => canAccessAlert(req.principal, a));
+        
+        const { vin, type, severity, status, driverId } = req.query;
+        
+        if (vin) {
+            alertList = alertList.filter(a => a.vin === vin);
+        }
+        
+        if (driverId) {
+            alertList = alertList.filter(a => a.driverId === driverId);
+        }
+        
+        if (type) {
+            alertList = alertList.filter(a => a.type === type);
+        }
+        
+        if (severity) {
+            alertList = alertList.filter(a => a.severity === severity);
+        }
+        
+        if (status) {
+            alertList = alertList.filter(a => a.status === status);
+        }
+        
+        // Sort by timestamp (newest first)
+        alertList.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+        
+        res.json({
+            success: true,
+            data: alertList,
+            total: alertList.length
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// Get specific alert by ID
+app.get('/api/alerts/:alertId', authorize(...READ_ROLES), (req, res) => {
+    try {
+        const alert = alerts.get(req.params.alertId);
+        if (!alert) {
+            return res.status(404).json({
+                success: false,
+                message: 'Alert not found'
+            });
+        }
+        
+        if (!canAccessAlert(req.principal, alert)) {
+            return accessDenied(res);
+        }
+        
+        res.json({
+            success: true,
+            data: alert
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// Update alert status
+app.put('/api/alerts/:alertId', authorize(...WRITE_ROLES), (req, res) => {
+    try {
+        const alert = alerts.get(req.params.alertId);
+        if (!alert) {
+            return res.status(404).json({
+                success: false,
+                message: 'Alert not found'
+            });
+        }
+        
+        if (!canAccessAlert(req.principal, alert)) {
+            return accessDenied(res);
+        }
+        
+        const { status } = req.body || {};
+        
+        if (!ALERT_STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Status must be one of: ${ALERT_STATUSES.join(', ')}`
+            });
+        }
+        
+        if (!alert.canTransitionTo(status)) {
+            return res.status(409).json({
+                success: false,
+                message: `Cannot change alert status from ${alert.status} to ${status}`,
+                allowedTransitions: ALERT_STATUS_TRANSITIONS[alert.status]
+            });
+        }
+        
+        alert.transitionTo(status, req.principal.name);
+        alerts.set(alert.id, alert);
+        indexOpenAlert(alert);
+        publishAlert(status.toLowerCase(), alert);
+        
+        res.json({
+            success: true,
+            data: alert
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// Streaming Routes
+
+const STREAM_EVENTS = ['telemetry', 'alert'];
+const STREAM_HEARTBEAT_MS = 25 * 1000;
+
+function parseListParam(value) {
+    return value ? String(value).split(',').map(v => v.trim()).filter(Boolean) : [];
+}
+
+// Server-Sent Events stream of new telemetry and alert changes.
+// Filters: ?vin=A,B  ?fleetId=  ?severity=High,Critical (alerts)  ?events=telemetry,alert
+app.get('/api/stream', authorize(...READ_ROLES), (req, res) => {
+    const vins = parseListParam(req.query.vin);
+    const severities = parseListParam(req.query.severity);
+    const events = req.query.events ? parseListParam(req.query.events) : STREAM_EVENTS;
+    const scopedFleetId = principalFleetId(req.principal);
+    const fleetId = req.query.fleetId || null;
+
+    const invalidEvents = events.filter(e => !STREAM_EVENTS.includes(e));
+    if (invalidEvents.length > 0) {
+        return res.status(400).json({
+            success: false,
+            message: `events must be a subset of: ${STREAM_EVENTS.join(', ')}`
+        });
+    }
+
+    const invalidSeverities = severities.filter(s => !ALERT_SEVERITIES.includes(s));
+    if (invalidSeverities.length > 0) {
+        return res.status(400).json({
+            success: false,
+            message: `severity must be a subset of: ${ALERT_SEVERITIES.join(', ')}`
+        });
+    }
+
+    if (scopedFleetId && fleetId && fleetId !== scopedFleetId) {
+        return accessDenied(res, 'Streams are limited to your own fleet');
+    }
+
+    const matchesVehicle = vin => {
+        const vehicle = vehicles.get(vin);
+        if (vins.length > 0 && !vins.includes(vin)) {
+            return false;
+        }
+        if (fleetId && (!vehicle || vehicle.fleetId !== fleetId)) {
+            return false;
+        }
+        return true;
+    };
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+    });
+    res.write(`event: ready\ndata: ${JSON.stringify({ vins, fleetId, severities, events })}\n\n`);
+
+    const send = (event, id, payload) => {
+        res.write(`event: ${event}\nid: ${id}\ndata: ${JSON.stringify(payload)}\n\n`);
+    };
+
+    const onTelemetry = telemetry => {
+        const vehicle = vehicles.get(telemetry.vin);
+        if (vehicle && canAccessVehicle(req.principal, vehicle) && matchesVehicle(telemetry.vin)) {
+            send('telemetry', telemetry.id, telemetry);
+        }
+    };
+
+    const onAlert = ({ action, alert }) => {
+        if (!canAccessAlert(req.principal, alert) || !matchesVehicle(alert.vin)) {
+            return;
+        }
+        if (severities.length > 0 && !severities.includes(alert.severity)) {
+            return;
+        }
+        send('alert', alert.id, { action, alert });
+    };
+
+    if (events.includes('telemetry')) {
+        fleetEvents.on('telemetry', onTelemetry);
+    }
+    if (events.includes('alert')) {
+        fleetEvents.on('alert', onAlert);
+    }
+
+    // Comment lines keep proxies from closing an idle connection
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), STREAM_HEARTBEAT_MS);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        fleetEvents.off('telemetry', onTelemetry);
+        fleetEvents.off('alert', onAlert);
+    });
+});
+
+// Webhook Routes
+
+// Create webhook subscription (the secret is only returned in this response)
+app.post('/api/webhooks', authorize(...WRITE_ROLES), (req, res) => {
+    try {
+        const data = req.body || {};
+        if (!canManageFleetEntity(req.principal, data)) {
+            return accessDenied(res, 'Webhooks can only be managed for your own fleet');
+        }
+        
+        const validationErrors = validateWebhookData(data);
+        if (validationErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                errors: validationErrors
+            });
+        }
+        
+        const secret = data.secret || `whsec_${crypto.randomBytes(24).toString('hex')}`;
+        const webhook = new Webhook(data, secret);
+        webhooks.set(webhook.id, webhook);
+        
+        res.status(201).json({
+            success: true,
+            data: { ...webhook.toResponse(), secret }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// List webhook subscriptions
+app.get('/api/webhooks', authorize(...WRITE_ROLES), (req, res) => {
+    try {
+        const webhookList = webhooks.list()
+            .filter(w => canManageFleetEntity(req.principal, w))
+            .map(w => w.toResponse());
+        
+        res.json({
+            success: true,
+            data: webhookList,
+            total: webhookList.length
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// Get specific webhook subscription
+app.get('/api/webhooks/:webhookId', authorize(...WRITE_ROLES), (req, res) => {
+    try {
+        const webhook = webhooks.get(req.params.webhookId);
+        if (!webhook || !canManageFleetEntity(req.principal, webhook)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Webhook not found'
+            });
+        }
+        
+        res.json({
+            success: true,
+            data: webhook.toResponse()
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// Update webhook subscription (the secret cannot be changed; create a new webhook to rotate it)
+app.put('/api/webhooks/:webhookId', authorize(...WRITE_ROLES), (req, res) => {
+    try {
+        const webhook = webhooks.get(req.params.webhookId);
+        if (!webhook || !canManageFleetEntity(req.principal, webhook)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Webhook not found'
+            });
+        }
+        
+        const { secret, ...updates } = req.body || {};
+        if (!canManageFleetEntity(req.principal, { ...webhook, ...updates })) {
+            return accessDenied(res, 'Webhooks can only be managed for your own fleet');
+        }
+        
+        const validationErrors = validateWebhookData({ ...webhook, ...updates, secret: undefined });
+        if (validationErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                errors: validationErrors
+            });
+        }
+        
+        webhook.update(updates);
+        webhooks.set(webhook.id, webhook);
+        
+        res.json({
+            success: true,
+            data: webhook.toResponse()
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// Delete webhook subscription and its delivery log
+app.delete('/api/webhooks/:webhookId', authorize(...WRITE_ROLES), (req, res) => {
+    try {
+        const webhook = webhooks.get(req.params.webhookId);
+        if (!webhook || !canManageFleetEntity(req.principal, webhook)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Webhook not found'
+            });
+        }
+        
+        cancelDeliveries(webhook.id);
+        deliveriesFor(webhook.id).forEach(d => webhookDeliveries.delete(d.id));
+        webhooks.delete(webhook.id);
+        
+        res.json({
+            success: true,
+            message: 'Webhook deleted successfully'
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// Send a ping event to check the receiver and signature handling
+app.post('/api/webhooks/:webhookId/ping', authorize(...WRITE_ROLES), (req, res) => {
+    try {
+        const webhook = webhooks.get(req.params.webhookId);
+        if (!webhook || !canManageFleetEntity(req.principal, webhook)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Webhook not found'
+            });
+        }
+        
+        const delivery = enqueueDelivery(webhook, 'ping', { webhookId: webhook.id });
+        
+        res.status(202).json({
+            success: true,
+            data: delivery
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// Delivery log of a webhook, newest first (filter: status, event)
+app.get('/api/webhooks/:webhookId/deliveries', authorize(...WRITE_ROLES), (req, res) => {
+    try {
+        const webhook = webhooks.get(req.params.webhookId);
+        if (!webhook || !canManageFleetEntity(req.principal, webhook)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Webhook not found'
+            });
+        }
+        
+        let deliveries = deliveriesFor(webhook.id);
+        
+        const { status, event } = req.query;
+        
+        if (status) {
+            deliveries = deliveries.filter(d => d.status === status);
+        }
+        
+        if (event) {
+            deliveries = deliveries.filter(d => d.event === event);
+        }
+        
+        if (req.query.limit) {
+            deliveries = deliveries.slice(0, parseInt(req.query.limit));
+        }
+        
+        res.json({
+            success: true,
+            data: deliveries,
+            total: deliveries.length
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// Send a logged delivery again as a new delivery with a fresh retry budget
+app.post('/api/webhooks/:webhookId/deliveries/:deliveryId/redeliver', authorize(...WRITE_ROLES), (req, res) => {
+    try {
+        const webhook = webhooks.get(req.params.webhookId);
+        const original = webhookDeliveries.get(req.params.deliveryId);
+        if (!webhook || !canManageFleetEntity(req.principal, webhook) || !original || original.webhookId !== webhook.id) {
+            return res.status(404).json({
+                success: false,
+                message: 'Delivery not found'
+            });
+        }
+        
+        if (!webhook.enabled) {
+            return res.status(409).json({
+                success: false,
+                message: 'Webhook is disabled'
+            });
+        }
+        
+        const delivery = enqueueDelivery(webhook, original.event, original.payload.data, original.id);
+        
+        res.status(202).json({
+            success: true,
+            data: delivery
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// Alert Rule Routes
+
+// Create alert rule
+app.post('/api/alert-rules', authorize(...WRITE_ROLES), (req, res) => {
+    try {
+        const data = req.body || {};
+        const validationErrors = validateAlertRuleData(data);
+        if (validationErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                errors: validationErrors
+            });
+        }
+        
+        if (!canManageFleetEntity(req.principal, data)) {
+            return accessDenied(res, 'Alert rules can only be created for your own fleet');
+        }
+        
+        const rule = new AlertRule(data);
+        alertRules.set(rule.id, rule);
+        
+        res.status(201).json({
+            success: true,
+            data: rule
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// List alert rules with optional filtering
+app.get('/api/alert-rules', authorize(...READ_ROLES), (req, res) => {
+    try {
+        let ruleList = alertRules.list().filter(r => canViewFleetEntity(req.principal, r));
+        
+        const { type, field, fleetId, manufacturer, enabled } = req.query;
+        
+        if (type) {
+            ruleList = ruleList.filter(r => r.type === type);
+        }
+        
+        if (field) {
+            ruleList = ruleList.filter(r => r.field === field);
+        }
+        
+        if (fleetId) {
+            ruleList = ruleList.filter(r => r.fleetId === fleetId);
+        }
+        
+        if (manufacturer) {
+            ruleList = ruleList.filter(r =>
+                r.manufacturer && r.manufacturer.toLowerCase() === manufacturer.toLowerCase()
+            );
+        }
+        
+        if (enabled !== undefined) {
+            ruleList = ruleList.filter(r => r.enabled === (enabled === 'true'));
+        }
+        
+        res.json({
+            success: true,
+            data: ruleList,
+            total: ruleList.length
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// Rules that currently govern a vehicle, after scope overrides are applied
+app.get('/api/vehicles/:vin/alert-rules', authorize(...READ_ROLES), (req, res) => {
+    try {
+        const vehicle = vehicles.get(req.params.vin);
+        if (!vehicle) {
+            return res.status(404).json({
+                success: false,
+                message: 'Vehicle not found'
+            });
+        }
+        
+        const effective = [];
+        rulesForVehicle(vehicle).forEach(rules => effective.push(...rules));
+        
+        res.json({
+            success: true,
+            data: effective,
+            total: effective.length
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// Get specific alert rule
+app.get('/api/alert-rules/:ruleId', authorize(...READ_ROLES), (req, res) => {
+    try {
+        const rule = alertRules.get(req.params.ruleId);
+        if (!rule || !canViewFleetEntity(req.principal, rule)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Alert rule not found'
+            });
+        }
+        
+        res.json({
+            success: true,
+            data: rule
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// Update alert rule
+app.put('/api/alert-rules/:ruleId', authorize(...WRITE_ROLES), (req, res) => {
+    try {
+        const rule = alertRules.get(req.params.ruleId);
+        if (!rule) {
+            return res.status(404).json({
+                success: false,
+                message: 'Alert rule not found'
+            });
+        }
+        
+        const updates = req.body || {};
+        if (!canManageFleetEntity(req.principal, rule) || !canManageFleetEntity(req.principal, { ...rule, ...updates })) {
+            return accessDenied(res, 'Alert rules can only be managed for your own fleet');
+        }
+        
+        const validationErrors = validateAlertRuleData(updates, true);
+        if (validationErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                errors: validationErrors
+            });
+        }
+        
+        rule.update(updates);
+        alertRules.set(rule.id, rule);
+        
+        res.json({
+            success: true,
+            data: rule
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// Delete alert rule
+app.delete('/api/alert-rules/:ruleId', authorize(...WRITE_ROLES), (req, res) => {
+    try {
+        const rule = alertRules.get(req.params.ruleId);
+        if (!rule) {
+            return res.status(404).json({
+                success: false,
+                message: 'Alert rule not found'
+            });
+        }
+        
+        if (!canManageFleetEntity(req.principal, rule)) {
+            return accessDenied(res, 'Alert rules can only be managed for your own fleet');
+        }
+        
+        alertRules.delete(rule.id);
+        
+        res.json({
+            success: true,
+            message: 'Alert rule deleted successfully'
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// Geofence Routes
+
+// Create geofence
+app.post('/api/geofences', authorize(...WRITE_ROLES), (req, res) => {
+    try {
+        const data = req.body || {};
+        const validationErrors = validateGeofenceData(data);
+        if (validationErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                errors: validationErrors
+            });
+        }
+        
+        if (!canManageGeofence(req.principal, data)) {
+            return accessDenied(res, 'Geofences can only be created for your own fleet');
+        }
+        
+        const geofence = new Geofence(data);
+        geofences.set(geofence.id, geofence);
+        
+        res.status(201).json({
+            success: true,
+            data: geofence
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// List geofences with optional filtering
+app.get('/api/geofences', authorize(...READ_ROLES), (req, res) => {
+    try {
+        let geofenceList = geofences.list().filter(g => canViewFleetEntity(req.principal, g));
+        
+        const { fleetId, vin, shape } = req.query;
+        
+        if (fleetId) {
+            geofenceList = geofenceList.filter(g => g.fleetId === fleetId);
+        }
+        
+        if (vin) {
+            geofenceList = geofenceList.filter(g => g.vin === vin);
+        }
+        
+        if (shape) {
+            geofenceList = geofenceList.filter(g => g.shape === shape);
+        }
+        
+        res.json({
+            success: true,
+            data: geofenceList,
+            total: geofenceList.length
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// Get specific geofence
+app.get('/api/geofences/:geofenceId', authorize(...READ_ROLES), (req, res) => {
+    try {
+        const geofence = geofences.get(req.params.geofenceId);
+        if (!geofence || !canViewFleetEntity(req.principal, geofence)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Geofence not found'
+            });
+        }
+        
+        res.json({
+            success: true,
+            data: geofence
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// Update geofence
+app.put('/api/geofences/:geofenceId', authorize(...WRITE_ROLES), (req, res) => {
+    try {
+        const geofence = geofences.get(req.params.geofenceId);
+        if (!geofence) {
+            return res.status(404).json({
+                success: false,
+                message: 'Geofence not found'
+            });
+        }
+        
+        const updates = req.body || {};
+        if (!canManageGeofence(req.principal, geofence) || !canManageGeofence(req.principal, { ...geofence, ...updates })) {
+            return accessDenied(res, 'Geofences can only be managed for your own fleet');
+        }
+        
+        // Validate the geofence as it would look after the update
+        const validationErrors = validateGeofenceData({ ...geofence, ...updates });
+        if (validationErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                errors: validationErrors
+            });
+        }
+        
+        geofence.update(updates);
+        geofences.set(geofence.id, geofence);
+        
+        res.json({
+            success: true,
+            data: geofence
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// Delete geofence
+app.delete('/api/geofences/:geofenceId', authorize(...WRITE_ROLES), (req, res) => {
+    try {
+        const geofence = geofences.get(req.params.geofenceId);
+        if (!geofence) {
+            return res.status(404).json({
+                success: false,
+                message: 'Geofence not found'
+            });
+        }
+        
+        if (!canManageGeofence(req.principal, geofence)) {
+            return accessDenied(res, 'Geofences can only be managed for your own fleet');
+        }
+        
+        geofences.delete(geofence.id);
+        
+        res.json({
+            success: true,
+            message: 'Geofence deleted successfully'
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// Driver Routes
+
+// Create driver
+app.post('/api/drivers', authorize(...WRITE_ROLES), (req, res) => {
+    try {
+        const data = req.body || {};
+        if (!canManageFleetEntity(req.principal, data)) {
+            return accessDenied(res, 'Drivers can only be managed for your own fleet');
+        }
+        
+        const validationErrors = validateDriverData(data);
+        if (validationErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                errors: validationErrors
+            });
+        }
+        
+        const driver = new Driver(data);
+        drivers.set(driver.id, driver);
+        
+        res.status(201).json({
+            success: true,
+            data: driver
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// List drivers with optional filtering (fleetId, status)
+app.get('/api/drivers', authorize(...READ_ROLES), (req, res) => {
+    try {
+        let driverList = drivers.list().filter(d => canViewFleetEntity(req.principal, d));
+        
+        const { fleetId, status } = req.query;
+        
+        if (fleetId) {
+            driverList = driverList.filter(d => d.fleetId === fleetId);
+        }
+        
+        if (status) {
+            driverList = driverList.filter(d => d.status === status);
+        }
+        
+        res.json({
+            success: true,
+            data: driverList,
+            total: driverList.length
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// Get specific driver, with the vehicle currently assigned
+app.get('/api/drivers/:driverId', authorize(...READ_ROLES), (req, res) => {
+    try {
+        const driver = drivers.get(req.params.driverId);
+        if (!driver || !canViewFleetEntity(req.principal, driver)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Driver not found'
+            });
+        }
+        
+        const current = assignmentsForDriver(driver.id).find(a => a.covers(new Date()));
+        
+        res.json({
+            success: true,
+            data: { ...driver, currentVin: current ? current.vin : null }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// Update driver
+app.put('/api/drivers/:driverId', authorize(...WRITE_ROLES), (req, res) => {
+    try {
+        const driver = drivers.get(req.params.driverId);
+        if (!driver) {
+            return res.status(404).json({
+                success: false,
+                message: 'Driver not found'
+            });
+        }
+        
+        if (!canManageFleetEntity(req.principal, driver) || !canManageFleetEntity(req.principal, { ...driver, ...req.body })) {
+            return accessDenied(res, 'Drivers can only be managed for your own fleet');
+        }
+        
+        const validationErrors = validateDriverData({ ...driver, ...req.body }, driver.id);
+        if (validationErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                errors: validationErrors
+            });
+        }
+        
+        driver.update(req.body);
+        drivers.set(driver.id, driver);
+        
+        res.json({
+            success: true,
+            data: driver
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// Delete driver (assignment history goes with it; past telemetry and alerts keep the driverId)
+app.delete('/api/drivers/:driverId', authorize(...WRITE_ROLES), (req, res) => {
+    try {
+        const driver = drivers.get(req.params.driverId);
+        if (!driver) {
+            return res.status(404).json({
+                success: false,
+                message: 'Driver not found'
+            });
+        }
+        
+        if (!canManageFleetEntity(req.principal, driver)) {
+            return accessDenied(res, 'Drivers can only be managed for your own fleet');
+        }
+        
+        const assignments = assignmentsForDriver(driver.id);
+        if (assignments.some(a => !a.endAt || a.endAt > new Date())) {
+            return res.status(409).json({
+                success: false,
+                message: 'Driver is still assigned to a vehicle; end the assignment first'
+            });
+        }
+        
+        assignments.forEach(a => driverAssignments.delete(a.id));
+        drivers.delete(driver.id);
+        
+        res.json({
+            success: true,
+            message: 'Driver deleted successfully'
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// Assign a driver to a vehicle from startAt (default now) until endAt (default open)
+app.post('/api/drivers/:driverId/assignments', authorize(...WRITE_ROLES), (req, res) => {
+    try {
+        const driver = drivers.get(req.params.driverId);
+        if (!driver) {
+            return res.status(404).json({
+                success: false,
+                message: 'Driver not found'
+            });
+        }
+        
+        const data = req.body || {};
+        const vehicle = vehicles.get(data.vin);
+        if (!vehicle) {
+            return res.status(400).json({
+                success: false,
+                errors: ['vin must reference an existing vehicle']
+            });
+        }
+        
+        if (!canManageFleetEntity(req.principal, driver) || !canAccessVehicle(req.principal, vehicle)) {
+            return accessDenied(res, 'Drivers can only be assigned within your own fleet');
+        }
+        
+        if (driver.status !== 'Active') {
+            return res.status(409).json({
+                success: false,
+                message: 'Only active drivers can be assigned'
+            });
+        }
+        
+        const { startAt, endAt, errors } = parseAssignmentWindow(data);
+        if (errors) {
+            return res.status(400).json({
+                success: false,
+                errors
+            });
+        }
+        
+        const { assignment, ended, conflict } = assignDriver(driver.id, vehicle.vin, startAt, endAt);
+        if (conflict) {
+            return res.status(409).json({
+                success: false,
+                message: 'Assignment overlaps an existing assignment of this driver or vehicle',
+                conflict
+            });
+        }
+        
+        res.status(201).json({
+            success: true,
+            data: assignment,
+            ended
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// Assignment history of a driver (newest first)
+app.get('/api/drivers/:driverId/assignments', authorize(...READ_ROLES), (req, res) => {
+    try {
+        const driver = drivers.get(req.params.driverId);
+        if (!driver || !canViewFleetEntity(req.principal, driver)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Driver not found'
+            });
+        }
+        
+        const assignments = assignmentsForDriver(driver.id);
+        
+        res.json({
+            success: true,
+            data: assignments,
+            total: assignments.length
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// Alerts attributed to a driver (filter: type, severity, status, from/to)
+app.get('/api/drivers/:driverId/alerts', authorize(...READ_ROLES), (req, res) => {
+    try {
+        const driver = drivers.get(req.params.driverId);
+        if (!driver || !canViewFleetEntity(req.principal, driver)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Driver not found'
+            });
+        }
+        
+        const { from, to, error } = parseDateRange(req.query);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+        
+        let alertList = alerts.list()
+            .filter(a => a.driverId === driver.id && canAccessAlert(req.principal, a));
+        
+        const { type, severity, status } = req.query;
+        
+        if (type) {
+            alertList = alertList.filter(a => a.type === type);
+        }
+        
+        if (severity) {
+            alertList = alertList.filter(a => a.severity === severity);
+        }
+        
+        if (status) {
+            alertList = alertList.filter(a => a.status === status);
+        }
+        
+        if (from) {
+            alertList = alertList.filter(a => a.timestamp >= from);
+        }
+        
+        if (to) {
+            alertList = alertList.filter(a => a.timestamp <= to);
+        }
+        
+        alertList.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+        
+        res.json({
+            success: true,
+            data: alertList,
+            total: alertList.length
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// Trips driven by a driver across all assigned vehicles (?from=&to= filter on trip start, newest first)
+app.get('/api/drivers/:driverId/trips', authorize(...READ_ROLES), (req, res) => {
+    try {
+        const driver = drivers.get(req.params.driverId);
+        if (!driver || !canViewFleetEntity(req.principal, driver)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Driver not found'
+            });
+        }
+        
+        const { from, to, error } = parseDateRange(req.query);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+        
+        let trips = tripsForDriver(driver.id).filter(t => {
+            const vehicle = vehicles.get(t.vin);
+            return vehicle && canAccessVehicle(req.principal, vehicle);
+        });
+        
+        if (from) {
+            trips = trips.filter(t => t.startTime >= from);
+        }
+        
+        if (to) {
+            trips = trips.filter(t => t.startTime <= to);
+        }
+        
+        trips.reverse();
+        
+        if (req.query.limit) {
+            trips = trips.slice(0, parseInt(req.query.limit));
+        }
+        
+        res.json({
+            success: true,
+            data: trips,
+            total: trips.length,
+            totalDistanceKm: roundTo(trips.reduce((sum, t) => sum + t.distanceKm, 0))
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
     }
-}
+});
 
-// Alert generation logic
-function generateAlerts(telemetry) {
-    const alertsGenerated = [];
-    
-    // Speed violation check (assuming speed limit of 80 km/h)
-    if (telemetry.speed > 80) {
-        const alert = new Alert(
-            telemetry.vin,
-            'SPEED_VIOLATION',
-            `Vehicle ${telemetry.vin} exceeded speed limit: ${telemetry.speed} km/h`,
-            'High'
-        );
-        alerts.set(alert.id, alert);
-        alertsGenerated.push(alert);
-    }
-    
-    // Low fuel check (below 15%)
-    if (telemetry.fuelLevel !== null && telemetry.fuelLevel < 15) {
-        const alert = new Alert(
-            telemetry.vin,
-            'LOW_FUEL',
-            `Vehicle ${telemetry.vin} has low fuel: ${telemetry.fuelLevel}%`,
-            'Medium'
-        );
-        alerts.set(alert.id, alert);
-        alertsGenerated.push(alert);
-    }
-    
-    // Low battery check (below 15%)
-    if (telemetry.batteryLevel !== null && telemetry.batteryLevel < 15) {
-        const alert = new Alert(
-            telemetry.vin,
-            'LOW_BATTERY',
-            `Vehicle ${telemetry.vin} has low battery: ${telemetry.batteryLevel}%`,
-            'Medium'
-        );
-        alerts.set(alert.id, alert);
-        alertsGenerated.push(alert);
+// Driving behaviour score of a driver over its assignments (?from=&to= or ?hours=, default 24h)
+app.get('/api/drivers/:driverId/behaviour', authorize(...READ_ROLES), (req, res) => {
+    try {
+        const driver = drivers.get(req.params.driverId);
+        if (!driver || !canViewFleetEntity(req.principal, driver)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Driver not found'
+            });
+        }
+        
+        const window = parseTimeWindow(req.query);
+        if (window.error) {
+            return res.status(400).json({
+                success: false,
+                message: window.error
+            });
+        }
+        
+        res.json({
+            success: true,
+            filters: { from: window.from, to: window.to },
+            data: {
+                driverId: driver.id,
+                name: driver.name,
+                ...behaviourForDriver(driver.id, window, vehicle => canAccessVehicle(req.principal, vehicle))
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
     }
-    
-    return alertsGenerated;
-}
-
-// Validation helpers
-function validateVIN(vin) {
-    return vin && typeof vin === 'string' && vin.length === 17;
-}
+});
 
-function validateVehicleData(data) {
-    const errors = [];
-    
-    if (!validateVIN(data.vin)) {
-        errors.push('VIN must be a 17-character string');
-    }
-    
-    if (!data.manufacturer || typeof data.manufacturer !== 'string') {
-        errors.push('Manufacturer is required and must be a string');
-    }
-    
-    if (!data.model || typeof data.model !== 'string') {
-        errors.push('Model is required and must be a string');
-    }
-    
-    if (!data.fleetId || typeof data.fleetId !== 'string') {
-        errors.push('Fleet ID is required and must be a string');
-    }
-    
-    if (!data.owner || typeof data.owner !== 'string') {
-        errors.push('Owner is required and must be a string');
-    }
-    
-    if (data.registrationStatus && !['Active', 'Maintenance', 'Decommissioned'].includes(data.registrationStatus)) {
-        errors.push('Registration status must be Active, Maintenance, or Decommissioned');
+// End an assignment at endAt (default now)
+app.post('/api/driver-assignments/:assignmentId/end', authorize(...WRITE_ROLES), (req, res) => {
+    try {
+        const assignment = driverAssignments.get(req.params.assignmentId);
+        const vehicle = assignment ? vehicles.get(assignment.vin) : null;
+        if (!assignment || (vehicle && !canAccessVehicle(req.principal, vehicle))) {
+            return res.status(404).json({
+                success: false,
+                message: 'Assignment not found'
+            });
+        }
+        
+        if (assignment.endAt && assignment.endAt <= new Date()) {
+            return res.status(409).json({
+                success: false,
+                message: 'Assignment has already ended'
+            });
+        }
+        
+        const endAt = req.body && req.body.endAt !== undefined ? parseDeviceTimestamp(req.body.endAt) : new Date();
+        if (!endAt || endAt <= assignment.startAt) {
+            return res.status(400).json({
+                success: false,
+                message: 'endAt must be a valid date after the assignment start'
+            });
+        }
+        
+        const previousEnd = assignment.endAt;
+        assignment.endAt = endAt;
+        driverAssignments.set(assignment.id, assignment);
+        attributeDriver(assignment.vin, endAt, previousEnd);
+        
+        res.json({
+            success: true,
+            data: assignment
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
     }
-    
-    return errors;
-}
+});
 
-// API Routes
+// Driver assignment history of a vehicle (newest first)
+app.get('/api/vehicles/:vin/assignments', authorize(...READ_ROLES), (req, res) => {
+    try {
+        if (!findVehicle(req.params.vin)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Vehicle not found'
+            });
+        }
+        
+        const assignments = assignmentsForVehicle(req.params.vin);
+        
+        res.json({
+            success: true,
+            data: assignments,
+            total: assignments.length
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
 
-// Vehicle Management Routes
+// Maintenance Routes
 
-// Create vehicle
-app.post('/api/vehicles', (req, res) => {
+// Create maintenance plan
+app.post('/api/maintenance/plans', authorize('admin'), (req, res) => {
     try {
-        const validationErrors = validateVehicleData(req.body);
+        const validationErrors = validateMaintenancePlanData(req.body || {});
         if (validationErrors.length > 0) {
             return res.status(400).json({
                 success: false,
@@ -161,28 +6749,12 @@ app.post('/api/vehicles', (req, res) => {
             });
         }
         
-        if (vehicles.has(req.body.vin)) {
-            return res.status(409).json({
-                success: false,
-                message: 'Vehicle with this VIN already exists'
-            });
-        }
-        
-        const vehicle = new Vehicle(
-            req.body.vin,
-            req.body.manufacturer,
-            req.body.model,
-            req.body.fleetId,
-            req.body.owner,
-            req.body.registrationStatus
-        );
-        
-        vehicles.set(vehicle.vin, vehicle);
-        telemetryData.set(vehicle.vin, []);
+        const plan = new MaintenancePlan(req.body);
+        maintenancePlans.set(plan.id, plan);
         
         res.status(201).json({
             success: true,
-            data: vehicle
+            data: plan
         });
     } catch (error) {
         res.status(500).json({
@@ -193,46 +6765,146 @@ app.post('/api/vehicles', (req, res) => {
     }
 });
 
-// List all vehicles with optional filtering
-app.get('/api/vehicles', (req, res) => {
+// List maintenance plans (filter: manufacturer, model)
+app.get('/api/maintenance/plans', authorize(...READ_ROLES), (req, res) => {
     try {
-        let vehicleList = Array.from(vehicles.values());
+        let planList = maintenancePlans.list();
         
-        // Apply filters
-        const { manufacturer, fleetId, registrationStatus } = req.query;
+        const { manufacturer, model } = req.query;
         
         if (manufacturer) {
-            vehicleList = vehicleList.filter(v => 
-                v.manufacturer.toLowerCase() === manufacturer.toLowerCase()
-            );
+            planList = planList.filter(p => !p.manufacturer || p.manufacturer.toLowerCase() === manufacturer.toLowerCase());
         }
         
-        if (fleetId) {
-            vehicleList = vehicleList.filter(v => v.fleetId === fleetId);
+        if (model) {
+            planList = planList.filter(p => !p.model || p.model.toLowerCase() === model.toLowerCase());
         }
         
-        if (registrationStatus) {
-            vehicleList = vehicleList.filter(v => v.registrationStatus === registrationStatus);
+        res.json({
+            success: true,
+            data: planList,
+            total: planList.length
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// Vehicles that are due soon or overdue (filter: fleetId, status)
+app.get('/api/maintenance/due', authorize(...READ_ROLES), (req, res) => {
+    try {
+        const scopedFleetId = principalFleetId(req.principal);
+        if (scopedFleetId && req.query.fleetId && req.query.fleetId !== scopedFleetId) {
+            return accessDenied(res, 'Maintenance is limited to your own fleet');
         }
         
-        // Summary statistics
-        const summary = {
-            total: vehicleList.length,
-            byManufacturer: {},
-            byFleet: {},
-            byStatus: {}
-        };
+        const { status } = req.query;
+        if (status && !['due_soon', 'overdue'].includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: 'status must be due_soon or overdue'
+            });
+        }
         
-        vehicleList.forEach(v => {
-            summary.byManufacturer[v.manufacturer] = (summary.byManufacturer[v.manufacturer] || 0) + 1;
-            summary.byFleet[v.fleetId] = (summary.byFleet[v.fleetId] || 0) + 1;
-            summary.byStatus[v.registrationStatus] = (summary.byStatus[v.registrationStatus] || 0) + 1;
+        const due = [];
+        vehiclesInScope(scopedFleetId || req.query.fleetId)
+            .filter(v => canAccessVehicle(req.principal, v))
+            .forEach(vehicle => {
+                maintenanceForVehicle(vehicle)
+                    .filter(item => item.status !== 'ok' && (!status || item.status === status))
+                    .forEach(item => due.push({ vin: vehicle.vin, fleetId: vehicle.fleetId, ...item }));
+            });
+        
+        res.json({
+            success: true,
+            data: due,
+            total: due.length
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// Get specific maintenance plan
+app.get('/api/maintenance/plans/:planId', authorize(...READ_ROLES), (req, res) => {
+    try {
+        const plan = maintenancePlans.get(req.params.planId);
+        if (!plan) {
+            return res.status(404).json({
+                success: false,
+                message: 'Maintenance plan not found'
+            });
+        }
+        
+        res.json({
+            success: true,
+            data: plan
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// Update maintenance plan
+app.put('/api/maintenance/plans/:planId', authorize('admin'), (req, res) => {
+    try {
+        const plan = maintenancePlans.get(req.params.planId);
+        if (!plan) {
+            return res.status(404).json({
+                success: false,
+                message: 'Maintenance plan not found'
+            });
+        }
+        
+        const validationErrors = validateMaintenancePlanData({ ...plan, ...req.body });
+        if (validationErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                errors: validationErrors
+            });
+        }
+        
+        plan.update(req.body);
+        maintenancePlans.set(plan.id, plan);
+        
+        res.json({
+            success: true,
+            data: plan
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
         });
+    }
+});
+
+// Delete maintenance plan
+app.delete('/api/maintenance/plans/:planId', authorize('admin'), (req, res) => {
+    try {
+        if (!maintenancePlans.delete(req.params.planId)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Maintenance plan not found'
+            });
+        }
         
         res.json({
             success: true,
-            data: vehicleList,
-            summary: summary
+            message: 'Maintenance plan deleted successfully'
         });
     } catch (error) {
         res.status(500).json({
@@ -243,8 +6915,8 @@ app.get('/api/vehicles', (req, res) => {
     }
 });
 
-// Get specific vehicle
-app.get('/api/vehicles/:vin', (req, res) => {
+// Next service due per applicable plan for a vehicle
+app.get('/api/vehicles/:vin/maintenance', authorize(...READ_ROLES), (req, res) => {
     try {
         const vehicle = vehicles.get(req.params.vin);
         if (!vehicle) {
@@ -256,7 +6928,7 @@ app.get('/api/vehicles/:vin', (req, res) => {
         
         res.json({
             success: true,
-            data: vehicle
+            data: maintenanceForVehicle(vehicle)
         });
     } catch (error) {
         res.status(500).json({
@@ -267,8 +6939,8 @@ app.get('/api/vehicles/:vin', (req, res) => {
     }
 });
 
-// Update vehicle
-app.put('/api/vehicles/:vin', (req, res) => {
+// Log a service for a vehicle; resolves the MAINTENANCE_DUE alert of the plan
+app.post('/api/vehicles/:vin/service-records', authorize(...WRITE_ROLES), (req, res) => {
     try {
         const vehicle = vehicles.get(req.params.vin);
         if (!vehicle) {
@@ -278,15 +6950,31 @@ app.put('/api/vehicles/:vin', (req, res) => {
             });
         }
         
-        // Validate update data (excluding VIN)
-        const updateData = { ...req.body };
-        delete updateData.vin;
+        const data = req.body || {};
+        const validationErrors = validateServiceRecordData(data);
+        if (validationErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                errors: validationErrors
+            });
+        }
+        
+        const record = new ServiceRecord(vehicle.vin, data);
+        if (record.odometer === null) {
+            // Default to the latest reading so km-based intervals restart from here
+            const current = latestOdometer(vehicle.vin);
+            record.odometer = current ? current.odometer : null;
+        }
+        serviceRecords.set(record.id, record);
         
-        vehicle.update(updateData);
+        const alertOutcome = createAlertOutcome();
+        evaluateMaintenance(vehicle, alertOutcome);
         
-        res.json({
+        res.status(201).json({
             success: true,
-            data: vehicle
+            data: record,
+            maintenance: maintenanceForVehicle(vehicle),
+            alertsResolved: alertOutcome.resolved
         });
     } catch (error) {
         res.status(500).json({
@@ -297,22 +6985,22 @@ app.put('/api/vehicles/:vin', (req, res) => {
     }
 });
 
-// Delete vehicle
-app.delete('/api/vehicles/:vin', (req, res) => {
+// Service history for a vehicle (newest first)
+app.get('/api/vehicles/:vin/service-records', authorize(...READ_ROLES), (req, res) => {
     try {
-        if (!vehicles.has(req.params.vin)) {
+        if (!findVehicle(req.params.vin)) {
             return res.status(404).json({
                 success: false,
                 message: 'Vehicle not found'
             });
         }
         
-        vehicles.delete(req.params.vin);
-        telemetryData.delete(req.params.vin);
+        const records = serviceRecordsFor(req.params.vin);
         
         res.json({
             success: true,
-            message: 'Vehicle deleted successfully'
+            data: records,
+            total: records.length
         });
     } catch (error) {
         res.status(500).json({
@@ -323,39 +7011,63 @@ app.delete('/api/vehicles/:vin', (req, res) => {
     }
 });
 
-// Telemetry Data Routes
+// Analytics Routes
+// All analytics routes accept ?fleetId= and a time window (?from=&to= or ?hours=, default 24h)
 
-// Receive telemetry data for a vehicle
-app.post('/api/telemetry/:vin', (req, res) => {
+function analyticsContext(req, res) {
+    const scopedFleetId = principalFleetId(req.principal);
+    if (scopedFleetId && req.query.fleetId && req.query.fleetId !== scopedFleetId) {
+        accessDenied(res, 'Analytics are limited to your own fleet');
+        return null;
+    }
+    
+    const fleetId = scopedFleetId || req.query.fleetId || null;
+    const window = parseTimeWindow(req.query);
+    if (window.error) {
+        res.status(400).json({
+            success: false,
+            message: window.error
+        });
+        return null;
+    }
+
+    return {
+        window,
+        fleetId,
+        vehicleList: vehiclesInScope(fleetId)
+    };
+}
+
+function analyticsFilters(ctx) {
+    return {
+        fleetId: ctx.fleetId,
+        from: ctx.window.from,
+        to: ctx.window.to
+    };
+}
+
+// Combined fleet overview
+app.get('/api/analytics', authorize(...READ_ROLES), (req, res) => {
     try {
-        const vin = req.params.vin;
-        
-        if (!vehicles.has(vin)) {
-            return res.status(404).json({
-                success: false,
-                message: 'Vehicle not found'
-            });
-        }
-        
-        const { speed, fuelLevel, batteryLevel, location, engineStatus } = req.body;
-        
-        const telemetry = new TelemetryRecord(
-            vin, speed, fuelLevel, batteryLevel, location, engineStatus
-        );
-        
-        if (!telemetryData.has(vin)) {
-            telemetryData.set(vin, []);
-        }
-        
-        telemetryData.get(vin).push(telemetry);
-        
-        // Generate alerts based on telemetry
-        const generatedAlerts = generateAlerts(telemetry);
-        
-        res.status(201).json({
+        const ctx = analyticsContext(req, res);
+        if (!ctx) return;
+
+        const activity = computeActivity(ctx.vehicleList, ctx.window);
+        const distance = computeDistance(ctx.vehicleList, ctx.window);
+
+        res.json({
             success: true,
-            data: telemetry,
-            alertsGenerated: generatedAlerts
+            filters: analyticsFilters(ctx),
+            data: {
+                activity: {
+                    total: activity.total,
+                    active: activity.active,
+                    inactive: activity.inactive
+                },
+                energy: computeEnergyLevels(ctx.vehicleList, ctx.window),
+                totalDistanceKm: distance.totalDistanceKm,
+                alerts: computeAlertSummary(ctx.vehicleList, ctx.window)
+            }
         });
     } catch (error) {
         res.status(500).json({
@@ -366,55 +7078,16 @@ app.post('/api/telemetry/:vin', (req, res) => {
     }
 });
 
-// Receive telemetry data for multiple vehicles
-app.post('/api/telemetry/batch', (req, res) => {
+// Active vs inactive vehicles (active = reported telemetry inside the window)
+app.get('/api/analytics/activity', authorize(...READ_ROLES), (req, res) => {
     try {
-        const telemetryRecords = req.body.records;
-        if (!Array.isArray(telemetryRecords)) {
-            return res.status(400).json({
-                success: false,
-                message: 'Records must be an array'
-            });
-        }
-        
-        const results = [];
-        const allAlerts = [];
-        
-        telemetryRecords.forEach(record => {
-            if (vehicles.has(record.vin)) {
-                const telemetry = new TelemetryRecord(
-                    record.vin, record.speed, record.fuelLevel, 
-                    record.batteryLevel, record.location, record.engineStatus
-                );
-                
-                if (!telemetryData.has(record.vin)) {
-                    telemetryData.set(record.vin, []);
-                }
-                
-                telemetryData.get(record.vin).push(telemetry);
-                
-                const generatedAlerts = generateAlerts(telemetry);
-                allAlerts.push(...generatedAlerts);
-                
-                results.push({
-                    vin: record.vin,
-                    success: true,
-                    telemetry: telemetry
-                });
-            } else {
-                results.push({
-                    vin: record.vin,
-                    success: false,
-                    message: 'Vehicle not found'
-                });
-            }
-        });
-        
-        res.status(201).json({
+        const ctx = analyticsContext(req, res);
+        if (!ctx) return;
+
+        res.json({
             success: true,
-            data: results,
-            totalAlertsGenerated: allAlerts.length,
-            alerts: allAlerts
+            filters: analyticsFilters(ctx),
+            data: computeActivity(ctx.vehicleList, ctx.window)
         });
     } catch (error) {
         res.status(500).json({
@@ -425,33 +7098,16 @@ app.post('/api/telemetry/batch', (req, res) => {
     }
 });
 
-// Get telemetry history for a vehicle
-app.get('/api/telemetry/:vin', (req, res) => {
+// Average fuel and battery levels
+app.get('/api/analytics/energy', authorize(...READ_ROLES), (req, res) => {
     try {
-        if (!vehicles.has(req.params.vin)) {
-            return res.status(404).json({
-                success: false,
-                message: 'Vehicle not found'
-            });
-        }
-        
-        const vehicleTelemetry = telemetryData.get(req.params.vin) || [];
-        const { limit, offset } = req.query;
-        
-        let result = vehicleTelemetry.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
-        
-        if (offset) {
-            result = result.slice(parseInt(offset));
-        }
-        
-        if (limit) {
-            result = result.slice(0, parseInt(limit));
-        }
-        
+        const ctx = analyticsContext(req, res);
+        if (!ctx) return;
+
         res.json({
             success: true,
-            data: result,
-            total: vehicleTelemetry.length
+            filters: analyticsFilters(ctx),
+            data: computeEnergyLevels(ctx.vehicleList, ctx.window)
         });
     } catch (error) {
         res.status(500).json({
@@ -462,30 +7118,16 @@ app.get('/api/telemetry/:vin', (req, res) => {
     }
 });
 
-// Get latest telemetry for a vehicle
-app.get('/api/telemetry/:vin/latest', (req, res) => {
+// Distance travelled, computed from consecutive GPS points
+app.get('/api/analytics/distance', authorize(...READ_ROLES), (req, res) => {
     try {
-        if (!vehicles.has(req.params.vin)) {
-            return res.status(404).json({
-                success: false,
-                message: 'Vehicle not found'
-            });
-        }
-        
-        const vehicleTelemetry = telemetryData.get(req.params.vin) || [];
-        const latest = vehicleTelemetry.length > 0 ? 
-            vehicleTelemetry[vehicleTelemetry.length - 1] : null;
-        
-        if (!latest) {
-            return res.status(404).json({
-                success: false,
-                message: 'No telemetry data found for this vehicle'
-            });
-        }
-        
+        const ctx = analyticsContext(req, res);
+        if (!ctx) return;
+
         res.json({
             success: true,
-            data: latest
+            filters: analyticsFilters(ctx),
+            data: computeDistance(ctx.vehicleList, ctx.window)
         });
     } catch (error) {
         res.status(500).json({
@@ -496,38 +7138,26 @@ app.get('/api/telemetry/:vin/latest', (req, res) => {
     }
 });
 
-// Alert Routes
-
-// Get all alerts with optional filtering
-app.get('/api/alerts', (req, res) => {
+// Fuel consumed, added and lost per vehicle
+app.get('/api/analytics/fuel', authorize(...READ_ROLES), (req, res) => {
     try {
-        let alertList = Array.from(alerts.values());
-        
-        const { vin, type, severity, status } = req.query;
-        
-        if (vin) {
-            alertList = alertList.filter(a => a.vin === vin);
-        }
-        
-        if (type) {
-            alertList = alertList.filter(a => a.type === type);
-        }
-        
-        if (severity) {
-            alertList = alertList.filter(a => a.severity === severity);
-        }
-        
-        if (status) {
-            alertList = alertList.filter(a => a.status === status);
-        }
-        
-        // Sort by timestamp (newest first)
-        alertList.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
-        
+        const ctx = analyticsContext(req, res);
+        if (!ctx) return;
+
+        const byVehicle = ctx.vehicleList.map(v => computeFuelReport(v, ctx.window.from, ctx.window.to));
+        const total = key => roundTo(byVehicle.reduce((sum, r) => sum + (r[key] || 0), 0));
+
         res.json({
             success: true,
-            data: alertList,
-            total: alertList.length
+            filters: analyticsFilters(ctx),
+            data: {
+                consumedLiters: total('consumedLiters'),
+                addedLiters: total('addedLiters'),
+                lostLiters: total('lostLiters'),
+                refuels: total('refuels'),
+                suspectedDrops: total('suspectedDrops'),
+                byVehicle
+            }
         });
     } catch (error) {
         res.status(500).json({
@@ -538,20 +7168,16 @@ app.get('/api/alerts', (req, res) => {
     }
 });
 
-// Get specific alert by ID
-app.get('/api/alerts/:alertId', (req, res) => {
+// Alert summary by type, severity and status
+app.get('/api/analytics/alerts', authorize(...READ_ROLES), (req, res) => {
     try {
-        const alert = alerts.get(req.params.alertId);
-        if (!alert) {
-            return res.status(404).json({
-                success: false,
-                message: 'Alert not found'
-            });
-        }
-        
+        const ctx = analyticsContext(req, res);
+        if (!ctx) return;
+
         res.json({
             success: true,
-            data: alert
+            filters: analyticsFilters(ctx),
+            data: computeAlertSummary(ctx.vehicleList, ctx.window)
         });
     } catch (error) {
         res.status(500).json({
@@ -562,24 +7188,55 @@ app.get('/api/alerts/:alertId', (req, res) => {
     }
 });
 
-// Update alert status
-app.put('/api/alerts/:alertId', (req, res) => {
+// Safety score ranking, best first (?by=vehicle|driver, ?order=asc for worst first, ?limit=)
+// Vehicles or drivers without driving time in the window are not ranked.
+app.get('/api/analytics/behaviour', authorize(...READ_ROLES), (req, res) => {
     try {
-        const alert = alerts.get(req.params.alertId);
-        if (!alert) {
-            return res.status(404).json({
+        const ctx = analyticsContext(req, res);
+        if (!ctx) return;
+
+        const by = req.query.by || 'vehicle';
+        if (!['vehicle', 'driver'].includes(by)) {
+            return res.status(400).json({
                 success: false,
-                message: 'Alert not found'
+                message: 'by must be vehicle or driver'
             });
         }
-        
-        if (req.body.status) {
-            alert.status = req.body.status;
+
+        let ranking;
+        if (by === 'driver') {
+            const inScope = new Set(ctx.vehicleList.map(v => v.vin));
+            ranking = drivers.list()
+                .filter(d => canViewFleetEntity(req.principal, d) && (!ctx.fleetId || d.fleetId === ctx.fleetId))
+                .map(d => ({
+                    driverId: d.id,
+                    name: d.name,
+                    fleetId: d.fleetId,
+                    ...behaviourForDriver(d.id, ctx.window, vehicle => inScope.has(vehicle.vin))
+                }));
+        } else {
+            ranking = ctx.vehicleList.map(v => ({
+                vin: v.vin,
+                fleetId: v.fleetId,
+                ...behaviourForVehicle(v, ctx.window)
+            }));
         }
-        
+
+        const direction = req.query.order === 'asc' ? 1 : -1;
+        ranking = ranking
+            .filter(entry => entry.score !== null)
+            .sort((a, b) => direction * (a.score - b.score))
+            .map((entry, index) => ({ rank: index + 1, ...entry }));
+
+        if (req.query.limit) {
+            ranking = ranking.slice(0, parseInt(req.query.limit));
+        }
+
         res.json({
             success: true,
-            data: alert
+            filters: { ...analyticsFilters(ctx), by },
+            data: ranking,
+            total: ranking.length
         });
     } catch (error) {
         res.status(500).json({
@@ -597,9 +7254,9 @@ app.get('/api/health', (req, res) => {
         message: 'Fleet Management System is running',
         timestamp: new Date(),
         stats: {
-            totalVehicles: vehicles.size,
-            totalAlerts: alerts.size,
-            totalTelemetryRecords: Array.from(telemetryData.values()).reduce((sum, records) => sum + records.length, 0)
+            totalVehicles: vehicles.count(),
+            totalAlerts: alerts.count(),
+            totalTelemetryRecords: telemetryData.list().reduce((sum, records) => sum + records.length, 0)
         }
     });
 });
@@ -615,13 +7272,51 @@ app.use((err, req, res, next) => {
 });
 
 // 404 handler
-app.use('*', (req, res) => {
+app.use((req, res) => {
     res.status(404).json({
         success: false,
         message: 'Route not found'
     });
 });
 
+// Background jobs
+
+// Hourly retention and maintenance pass; unref'd so it never keeps the process alive on its own
+setInterval(() => {
+    try {
+        applyRetention();
+    } catch (error) {
+        console.error('Telemetry retention failed:', error);
+    }
+
+    // Day-based intervals come due without any new telemetry arriving
+    try {
+        vehicles.list().forEach(vehicle => evaluateMaintenance(vehicle, createAlertOutcome()));
+    } catch (error) {
+        console.error('Maintenance check failed:', error);
+    }
+}, HOUR_MS).unref();
+
+// Raise NO_SIGNAL for Active vehicles that went silent
+setInterval(() => {
+    try {
+        checkConnectivity();
+    } catch (error) {
+        console.error('Connectivity check failed:', error);
+    }
+}, NO_SIGNAL_CHECK_MS).unref();
+
+// Resume webhook retries that were pending when the process last stopped
+webhookDeliveries.list()
+    .filter(d => d.status === 'pending')
+    .forEach(scheduleDelivery);
+
+// Make sure pending writes reach the storage backend before the process exits
+process.on('exit', () => repository.flush());
+['SIGINT', 'SIGTERM'].forEach(signal => {
+    process.on(signal, () => process.exit(0));
+});
+
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => {
     console.log(`Fleet Management System running on port ${PORT}`);
@@ -651,27 +7346,143 @@ SETUP INSTRUCTIONS:
 5. Test with Postman or curl:
    GET http://localhost:3000/api/health
 
+6. (Optional) Keep data across restarts with the file-backed storage:
+   STORAGE_DRIVER=file STORAGE_DIR=data node app.js
+
+7. Authenticate: every /api route except /api/health needs an API key.
+   Set ADMIN_API_KEY to choose the admin key, otherwise a bootstrap admin key
+   is printed on first start. Send it as "X-API-Key: <key>" or
+   "Authorization: Bearer <key>" and create further keys via /api/auth/keys.
+
 ===============================================================================
 API ENDPOINTS SUMMARY:
 ===============================================================================
 
+AUTHENTICATION (roles: admin, fleet_manager, device, viewer):
+- POST   /api/auth/keys          - Create API key (admin; key is shown once)
+- GET    /api/auth/keys          - List API keys (admin)
+- DELETE /api/auth/keys/:keyId   - Revoke API key (admin)
+- GET    /api/auth/me            - Identity of the calling key
+
+Access rules:
+- admin: everything
+- fleet_manager (fleetId): read/write vehicles, telemetry, alerts, alert rules
+  and geofences of its own fleet; analytics are limited to its fleet
+- device (vin): only POST /api/telemetry/:vin (and batch records) for its vin
+- viewer (optional fleetId): read-only access
+
+FLEETS:
+- POST   /api/fleets             - Create fleet (admin)
+- GET    /api/fleets             - List fleets (with vehicleCount)
+- GET    /api/fleets/:fleetId    - Get specific fleet
+- PUT    /api/fleets/:fleetId    - Update fleet (name, timezone, defaultThresholds, manager)
+- DELETE /api/fleets/:fleetId    - Delete unreferenced fleet (admin)
+- GET    /api/fleets/:fleetId/vehicles - Vehicles of a fleet (filter: manufacturer, registrationStatus)
+- GET    /api/fleets/:fleetId/summary  - Vehicles, drivers, open alerts and activity (from/to or hours)
+
 VEHICLE MANAGEMENT:
 - POST   /api/vehicles           - Create vehicle
-- GET    /api/vehicles           - List vehicles (with filtering)
-- GET    /api/vehicles/:vin      - Get specific vehicle
-- PUT    /api/vehicles/:vin      - Update vehicle
-- DELETE /api/vehicles/:vin      - Delete vehicle
+- POST   /api/vehicles/import    - Bulk create/upsert from CSV or JSON (mode=create|upsert, dryRun)
+- GET    /api/vehicles           - List/search vehicles (filter: manufacturer, fleetId, registrationStatus, includeDeleted,
+                                  q, createdFrom/To, lastSeenFrom/To, <field>Min/Max, engineStatus; sort, limit, cursor)
+- GET    /api/vehicles/export    - Stream the filtered list as JSON or CSV (format; same filters and sort)
+- GET    /api/vehicles/:vin      - Get specific vehicle (with connectivity status)
+- PUT    /api/vehicles/:vin      - Update vehicle (partial, validated, optional If-Match)
+- PATCH  /api/vehicles/:vin      - Same as PUT
+- GET    /api/vehicles/:vin/audit - Change history (filter: field, from/to)
+- DELETE /api/vehicles/:vin      - Delete (decommission) vehicle, keeping its history
+- POST   /api/vehicles/:vin/restore - Restore a deleted vehicle
+- DELETE /api/vehicles/:vin/purge - Permanently remove a vehicle and its data (admin)
+- GET    /api/vehicles/:vin/trips - Trip history (filter: from, to, limit)
+- GET    /api/vehicles/:vin/diagnostics - Active and cleared diagnostic codes
+
+DIAGNOSTICS:
+- GET    /api/diagnostics/codes/:code - Decode an OBD-II code (e.g. P0301)
 
 TELEMETRY DATA:
 - POST   /api/telemetry/:vin     - Submit telemetry for single vehicle
-- POST   /api/telemetry/batch    - Submit batch telemetry
+- POST   /api/telemetry/batch    - Submit batch telemetry (JSON, NDJSON or CSV)
 - GET    /api/telemetry/:vin     - Get telemetry history
+                                   (from, to, fields, order, limit, offset,
+                                    interval=5m for min/avg/max buckets)
+- GET    /api/telemetry/:vin/hourly - Hourly aggregates of expired raw telemetry
+- POST   /api/telemetry/retention/run - Apply the retention policy now (admin)
 - GET    /api/telemetry/:vin/latest - Get latest telemetry
 
 ALERTS:
-- GET    /api/alerts             - Get all alerts (with filtering)
+- GET    /api/alerts             - Get all alerts (filter: vin, driverId, type, severity, status)
 - GET    /api/alerts/:alertId    - Get specific alert
-- PUT    /api/alerts/:alertId    - Update alert status
+- PUT    /api/alerts/:alertId    - Update alert status (Active -> Acknowledged -> Resolved)
+
+REAL-TIME STREAM (Server-Sent Events):
+- GET    /api/stream             - Push new telemetry and alert changes
+  Filters: vin (comma list), fleetId, severity (comma list, alerts only),
+  events (telemetry,alert). EventSource clients may pass ?apiKey=<key>.
+  Events: "telemetry" (TelemetryRecord) and "alert" ({ action, alert } where
+  action is opened, updated, acknowledged or resolved).
+
+WEBHOOKS:
+- POST   /api/webhooks           - Subscribe a URL to alert changes
+- GET    /api/webhooks           - List webhooks
+- GET    /api/webhooks/:webhookId - Get specific webhook
+- PUT    /api/webhooks/:webhookId - Update webhook (url, filters, events, enabled)
+- DELETE /api/webhooks/:webhookId - Delete webhook and its delivery log
+- POST   /api/webhooks/:webhookId/ping - Send a test "ping" delivery
+- GET    /api/webhooks/:webhookId/deliveries - Delivery log (filter: status, event, limit)
+- POST   /api/webhooks/:webhookId/deliveries/:deliveryId/redeliver - Send again
+
+ALERT RULES:
+- POST   /api/alert-rules        - Create alert rule
+- GET    /api/alert-rules        - List alert rules (filter: type, field, fleetId, manufacturer, enabled)
+- GET    /api/alert-rules/:ruleId - Get specific alert rule
+- PUT    /api/alert-rules/:ruleId - Update alert rule
+- DELETE /api/alert-rules/:ruleId - Delete alert rule
+- GET    /api/vehicles/:vin/alert-rules - Rules in effect for a vehicle
+
+GEOFENCES:
+- POST   /api/geofences          - Create geofence (circle or polygon)
+- GET    /api/geofences          - List geofences (filter: fleetId, vin, shape)
+- GET    /api/geofences/:geofenceId - Get specific geofence
+- PUT    /api/geofences/:geofenceId - Update geofence
+- DELETE /api/geofences/:geofenceId - Delete geofence
+
+DRIVERS:
+- POST   /api/drivers            - Create driver
+- GET    /api/drivers            - List drivers (filter: fleetId, status)
+- GET    /api/drivers/:driverId  - Get specific driver (with currentVin)
+- PUT    /api/drivers/:driverId  - Update driver
+- DELETE /api/drivers/:driverId  - Delete driver without a current assignment
+- POST   /api/drivers/:driverId/assignments - Assign driver to a vehicle
+- GET    /api/drivers/:driverId/assignments - Assignment history of a driver
+- GET    /api/drivers/:driverId/alerts - Alerts attributed to a driver
+- GET    /api/drivers/:driverId/trips  - Trips driven by a driver
+- GET    /api/drivers/:driverId/behaviour - Driving behaviour score of a driver
+- POST   /api/driver-assignments/:assignmentId/end - End an assignment
+- GET    /api/vehicles/:vin/assignments - Driver history of a vehicle
+
+MAINTENANCE:
+- POST   /api/maintenance/plans  - Create maintenance plan (admin)
+- GET    /api/maintenance/plans  - List plans (filter: manufacturer, model)
+- GET    /api/maintenance/plans/:planId - Get specific plan
+- PUT    /api/maintenance/plans/:planId - Update plan (admin)
+- DELETE /api/maintenance/plans/:planId - Delete plan (admin)
+- GET    /api/maintenance/due    - Vehicles due soon or overdue (filter: fleetId, status)
+- GET    /api/vehicles/:vin/maintenance - Next service due per plan
+- GET    /api/vehicles/:vin/behaviour - Driving behaviour score of a vehicle
+- GET    /api/vehicles/:vin/charging-sessions - EV charging sessions (from/to, limit)
+- GET    /api/vehicles/:vin/fuel - Fuel consumed / added / lost (from/to or hours)
+- GET    /api/vehicles/:vin/fuel-events - Refuel and suspected drop events (filter: type, from/to)
+- POST   /api/vehicles/:vin/service-records - Log a service
+- GET    /api/vehicles/:vin/service-records - Service history
+
+ANALYTICS (filters: fleetId, from/to or hours - default last 24h):
+- GET    /api/analytics          - Fleet overview (activity, energy, distance, alerts)
+- GET    /api/analytics/activity - Active vs inactive vehicles
+- GET    /api/analytics/energy   - Average fuel/battery levels
+- GET    /api/analytics/distance - Distance travelled (total and per vehicle)
+- GET    /api/analytics/fuel     - Fuel consumed, added and lost per vehicle (litres need fuelTankCapacity)
+- GET    /api/analytics/alerts   - Alert summary by type, severity and status
+- GET    /api/analytics/behaviour - Safety score ranking (by: vehicle | driver, order, limit)
 
 SYSTEM:
 - GET    /api/health             - Health check and stats
@@ -680,6 +7491,27 @@ SYSTEM:
 SAMPLE TEST DATA:
 ===============================================================================
 
+Sample API Key JSON (POST /api/auth/keys):
+{
+  "name": "Corporate fleet manager",
+  "role": "fleet_manager",
+  "fleetId": "Corporate"
+}
+
+Sample Fleet JSON (id is the fleetId used by vehicles; no spaces allowed):
+{
+  "id": "Corporate",
+  "name": "Corporate fleet",
+  "timezone": "America/New_York",
+  "defaultThresholds": { "maxSpeed": 100, "minFuelLevel": 10, "minBatteryLevel": 20 },
+  "manager": { "name": "Ann Lee", "email": "ann.lee@example.com", "phone": "+1 555 0101" }
+}
+
+A vehicle's fleetId must name an existing fleet. Fleets referenced by vehicles
+stored before fleets existed are registered automatically on start. A fleet's
+defaultThresholds replace the global SPEED_VIOLATION / LOW_FUEL / LOW_BATTERY
+rules for its vehicles; explicit alert rules with that fleetId still win.
+
 Sample Vehicle JSON:
 {
   "vin": "1HGCM82633A123456",
@@ -687,10 +7519,33 @@ Sample Vehicle JSON:
   "model": "Model S",
   "fleetId": "Corporate",
   "owner": "John Doe",
-  "registrationStatus": "Active"
+  "registrationStatus": "Active",
+  "fuelTankCapacity": 60
 }
+Electric vehicles set "batteryCapacityKwh" (e.g. 100) instead of fuelTankCapacity.
+
+Deleting a vehicle is a soft delete: it is archived with registrationStatus
+"Decommissioned" and deletedAt, its open alerts are resolved (resolvedBy
+"vehicle_deleted") and current driver assignments end. It disappears from
+lists, analytics and alerting, but telemetry, trips, diagnostics, alerts,
+service records and the audit trail remain queryable by VIN; list or fetch it
+with ?includeDeleted=true. POST /restore brings it back with its previous
+status. DELETE /purge removes the vehicle, telemetry, alerts, service records,
+assignments, audit trail, logged webhook payloads, device API keys bound to
+the VIN and geofences pinned to it for good.
 
-Sample Telemetry JSON:
+Vehicle updates (PUT or PATCH) change only the supplied fields and are
+validated like a new vehicle; unknown fields and a different vin are rejected.
+A GET response can be sent back as is: vin, createdAt, updatedAt, connectivity
+and the deletion fields are accepted and ignored.
+GET, POST, PUT and PATCH return an ETag derived from updatedAt. Send it back as
+If-Match to get 412 Precondition Failed instead of overwriting a concurrent
+change. Each create, update and delete is logged in /api/vehicles/:vin/audit:
+{ "action": "updated", "at": "...", "actor": { "id", "name", "role" },
+  "changes": [ { "field": "registrationStatus", "from": "Active", "to": "Maintenance" } ] }
+
+Sample Telemetry JSON (speed 0-300 km/h, fuelLevel/batteryLevel 0-100 or null,
+valid latitude/longitude, engineStatus Running | Idle | Off):
 {
   "speed": 65,
   "fuelLevel": 75,
@@ -700,14 +7555,275 @@ Sample Telemetry JSON:
     "longitude": -74.0060,
     "address": "New York, NY"
   },
-  "engineStatus": "Running"
+  "engineStatus": "Running",
+  "odometer": 48213.6,
+  "diagnosticCodes": ["P0301"],
+  "timestamp": "2024-05-01T08:30:00Z",
+  "messageId": "device-42-000123"
+}
+
+timestamp (optional) is the device time of the reading; records are stored in
+time order regardless of arrival order. messageId (optional) makes uploads
+idempotent: a repeated (VIN, messageId) returns the stored record and is not
+processed again. Late records can open alerts, but only the newest record of a
+vehicle resolves alerts or triggers geofence crossings.
+
+Sample Geofence JSON (circle around a depot, polygon uses "points" instead):
+{
+  "name": "Brooklyn depot",
+  "shape": "circle",
+  "center": { "latitude": 40.6782, "longitude": -73.9442 },
+  "radiusMeters": 500,
+  "fleetId": "Corporate",
+  "alertOnEnter": true,
+  "alertOnExit": true
+}
+
+Bulk telemetry (POST /api/telemetry/batch) accepts:
+- application/json: { "records": [ { "vin": "...", ...telemetry } ] } or a bare array
+- application/x-ndjson: one telemetry JSON object (with vin) per line
+- text/csv: header row with
+  vin,speed,fuelLevel,batteryLevel,latitude,longitude,address,engineStatus,
+  odometer,diagnosticCodes (separated by ;),timestamp,messageId
+Records are processed in chunks of BATCH_CHUNK_SIZE (default 500), up to
+MAX_BATCH_RECORDS (default 50000). The response reports every record by its
+index with accepted/rejected/duplicate counts; valid records are stored even
+when others in the same upload fail.
+
+Bulk vehicle import (POST /api/vehicles/import) accepts:
+- application/json: { "vehicles": [ { ...vehicle } ] } or a bare array
+- text/csv: header row with
+  vin,manufacturer,model,fleetId,owner,registrationStatus,fuelTankCapacity,
+  batteryCapacityKwh (empty cells are left unset)
+Every row is validated like POST /api/vehicles. ?mode=create (default) rejects
+VINs that already exist; ?mode=upsert updates them instead (only the given
+fields, audited like PATCH). ?dryRun=true runs all checks and returns the
+report without saving. Each row is reported by index with action created,
+updated or unchanged (plus changes), or with its errors; valid rows are saved
+even when others fail. A VIN appearing twice is rejected on its second row.
+
+GET /api/vehicles/export?format=csv writes the columns above plus createdAt and
+updatedAt, so an export can be edited and imported again with mode=upsert.
+X-Total-Count holds the number of exported vehicles.
+
+Retention: raw telemetry older than TELEMETRY_RETENTION_DAYS (default 30,
+0 disables) is rolled into hourly min/avg/max aggregates once an hour and
+removed from the raw history.
+
+Sample Driver JSON:
+{
+  "name": "Jane Smith",
+  "licenseNumber": "D1234567",
+  "licenseExpiry": "2027-06-30",
+  "phone": "+1 555 0100",
+  "fleetId": "Corporate"
+}
+
+Sample Assignment JSON (POST /api/drivers/:driverId/assignments; startAt
+defaults to now, omit endAt for an open assignment):
+{
+  "vin": "1HGCM82633A123456",
+  "startAt": "2024-05-01T08:00:00Z"
+}
+
+A vehicle has at most one driver and a driver at most one vehicle at a time.
+Assigning a new driver without endAt while an earlier open assignment exists
+hands over: the earlier assignment is ended at the new startAt. An assignment
+with endAt that overlaps any existing one is rejected (409). Telemetry records and
+alerts carry the driverId assigned at their timestamp; assignments recorded
+after the fact re-attribute the telemetry and alerts already stored.
+
+Sample Maintenance Plan JSON (whichever interval is reached first):
+{
+  "name": "Tesla annual service",
+  "manufacturer": "Tesla",
+  "model": "Model S",
+  "intervalKm": 20000,
+  "intervalDays": 365
+}
+
+===============================================================================
+VEHICLE SEARCH:
+===============================================================================
+
+GET /api/vehicles combines the exact filters (manufacturer, fleetId,
+registrationStatus) with:
+  q=toyota camry          every word must match VIN, model, owner or
+                          manufacturer: exact, prefix or substring, or with
+                          a typo for words of 4+ letters ("toyta")
+  createdFrom/createdTo   vehicle creation date range
+  lastSeenFrom/lastSeenTo time of the latest telemetry record
+  <field>Min/<field>Max   bounds (inclusive) on the latest speed, fuelLevel,
+                          batteryLevel, odometer or estimatedRangeKm,
+                          e.g. fuelLevelMax=20
+  engineStatus            latest engineStatus (Running, Idle, Off)
+Vehicles without telemetry never match lastSeen or telemetry filters.
+
+sort=<key> or sort=-<key> (descending): vin, manufacturer, model, owner,
+fleetId, registrationStatus, createdAt, updatedAt, lastSeen, relevance (needs
+q) and the telemetry fields above. Default: -relevance with q, else createdAt.
+Missing values sort last; VIN breaks ties.
+
+Pagination is opt-in: with limit (1-500) or cursor (default limit 50) the
+response holds one page and pagination.nextCursor; pass it back as cursor
+with the same query to get the next page (null on the last page). total and
+summary always cover every match:
+GET /api/vehicles?q=corp&fuelLevelMax=20&sort=-lastSeen&limit=2
+{ "success": true, "data": [...], "total": 7, "summary": { ... },
+  "pagination": { "sort": "-lastSeen", "limit": 2, "nextCursor": "eyJzb3J0Ijo..." } }
+
+===============================================================================
+TRIPS:
+===============================================================================
+
+Trips are derived from the telemetry stream of a vehicle. A trip starts with
+the first record whose engineStatus is not "Off" and ends when the engine
+reports "Off" or when no telemetry arrives for TRIP_IDLE_GAP_MINUTES
+(default 10). Each trip reports start/end time and location, distance
+(haversine over the GPS points), max/avg speed and fuel consumed (% points).
+
+===============================================================================
+WEBHOOKS:
+===============================================================================
+
+Sample Webhook JSON (secret is generated when omitted and only returned on
+creation; types, severities and fleetId are optional filters):
+{
+  "name": "Ops pager",
+  "url": "http://localhost:4000/hooks/fleet",
+  "fleetId": "Corporate",
+  "severities": ["High", "Critical"],
+  "events": ["opened", "resolved"]
+}
+
+Every matching alert change is sent as POST <url> with a JSON body
+{ "id": "<deliveryId>", "event": "alert.opened", "createdAt": "...", "data": <Alert> }
+and the headers X-Webhook-Id, X-Webhook-Event, X-Webhook-Delivery,
+X-Webhook-Timestamp (unix seconds) and X-Webhook-Signature. To verify, compute
+"sha256=" + hex(HMAC-SHA256(secret, timestamp + "." + rawBody)) and compare.
+
+A 2xx response marks the delivery succeeded. Errors, timeouts
+(WEBHOOK_TIMEOUT_MS, default 10000) and non-2xx responses are retried after
+WEBHOOK_RETRY_BASE_MS (default 1000) * 2^(attempt - 1) until
+WEBHOOK_MAX_ATTEMPTS (default 6), then the delivery is marked failed.
+
+Local stub receiver for testing:
+  node -e "require('http').createServer((q, s) => { let b = ''; q.on('data', c => b += c);
+    q.on('end', () => { console.log(q.headers['x-webhook-signature'], b); s.end('ok'); }); }).listen(4000)"
+
+===============================================================================
+EV CHARGING AND RANGE:
+===============================================================================
+
+Charging sessions are derived from batteryLevel: consecutive readings that
+rise (or hold) while the vehicle stands still, ending when the level drops,
+the vehicle moves or no reading arrives for CHARGING_GAP_MINUTES (default 30).
+Sessions adding less than 2% are ignored. kWhAdded and averagePowerKw need the
+vehicle's batteryCapacityKwh.
+
+For vehicles with batteryCapacityKwh, consumption (% of battery per km) is
+learned from battery drops over GPS distance while driving during the last 30
+days; below 20 km of samples EV_DEFAULT_KWH_PER_100KM (default 18) is used.
+GET /api/telemetry/:vin/latest adds
+{ "range": { "estimatedRangeKm", "batteryLevel", "energyKwh",
+             "model": { "source": "learned" | "default", "percentPerKm", "kWhPer100Km", ... } } }
+
+The estimate is available to alert rules as the field estimatedRangeKm, e.g.:
+{
+  "name": "Range below 50 km",
+  "type": "RANGE_INSUFFICIENT",
+  "field": "estimatedRangeKm",
+  "operator": "<",
+  "threshold": 50,
+  "severity": "High"
 }
 
+===============================================================================
+DRIVING BEHAVIOUR:
+===============================================================================
+
+Consecutive telemetry samples of a vehicle are compared over the requested
+window (from/to or hours, default 24h):
+- Harsh acceleration: speed rises by >= HARSH_ACCELERATION_KMH_PER_S (default
+  10) per second between samples at most 30 s apart
+- Harsh braking: speed drops by >= HARSH_BRAKING_KMH_PER_S (default 12) per second
+- Speeding: above the vehicle's SPEED_VIOLATION rule threshold (default 80 km/h)
+  for at least one minute
+- Excessive idling: engine on and not moving for longer than
+  EXCESSIVE_IDLE_MINUTES (default 5); only the time beyond that counts
+
+Score = 100 - penalty per hour of driving (at least one hour), floored at 0.
+Penalties: 5 per harsh acceleration or braking, 2 per speeding minute and
+1 per excess idling minute. Driver scores only use telemetry inside the
+driver's assignments. Without driving time in the window the score is null.
+
 ===============================================================================
 ALERT TRIGGERS:
 ===============================================================================
 
-The system automatically generates alerts for:
-- Speed violations: speed > 80 km/h (High severity)
-- Low fuel: fuelLevel < 15% (Medium severity)
-- Low battery: batteryLevel < 15% (Medium severity)
+Alerts are produced by alert rules evaluated against every telemetry record.
+The following global rules are seeded on first start:
+- SPEED_VIOLATION: speed > 80 km/h (High severity)
+- LOW_FUEL: fuelLevel < 15% (Medium severity)
+- LOW_BATTERY: batteryLevel < 15% (Medium severity)
+
+Sample Alert Rule JSON (custom speed limit for one fleet):
+{
+  "name": "Corporate speed limit",
+  "type": "SPEED_VIOLATION",
+  "field": "speed",
+  "operator": ">",
+  "threshold": 100,
+  "severity": "High",
+  "fleetId": "Corporate"
+}
+
+For each alert type only the most specific matching scope applies
+(fleetId + manufacturer > fleetId > manufacturer > global), so the rule above
+replaces the global speed limit for the Corporate fleet. Rules cannot use the
+type of an alert the server raises itself.
+
+Alert lifecycle:
+- An alert is opened once per ongoing condition (VIN + alert type). While the
+  condition persists the same alert is updated: occurrences, lastSeen, message.
+- When telemetry returns to normal the open alert is resolved automatically
+  (resolvedBy: "system").
+- PUT /api/alerts/:alertId only accepts valid transitions:
+  Active -> Acknowledged -> Resolved (Active -> Resolved is also allowed).
+  Resolved alerts are final; a recurring condition opens a new alert.
+
+Geofence alerts are raised when two consecutive GPS fixes of a vehicle fall on
+different sides of a geofence boundary:
+- GEOFENCE_ENTER: vehicle moved into the geofence
+- GEOFENCE_EXIT: vehicle moved out of the geofence
+Crossing back resolves the alert for the opposite movement.
+
+Diagnostic codes: when a telemetry record lists diagnosticCodes, every code
+not already active raises a DIAGNOSTIC_CODE alert (severity from the built-in
+P/B/C/U lookup table). Codes missing from a later report are marked cleared
+and their alert is resolved. Records without the field leave codes untouched.
+
+Fuel: each fuelLevel reading is compared with the previous one of the vehicle.
+A rise of at least FUEL_REFUEL_MIN_PERCENT (default 10) is logged as a refuel
+event. A drop of at least FUEL_DROP_MIN_PERCENT (default 5) while the vehicle
+stands still (speed 0 or engine Off on both readings) is logged as a "drop"
+event and raises FUEL_ANOMALY (High), which stays open until resolved by a
+user. Other decreases count as consumption in the fuel reports; litres are
+reported when the vehicle has a fuelTankCapacity. Late records (older than the
+newest stored one) are not checked, so they cannot duplicate or contradict
+the events already logged.
+
+No signal: every NO_SIGNAL_CHECK_SECONDS (default 60) the server checks the
+newest telemetry timestamp of each vehicle. An Active vehicle silent for more
+than NO_SIGNAL_MINUTES (default 5) gets one NO_SIGNAL alert (Medium) per
+outage; the next telemetry record resolves it, as does moving the vehicle out
+of Active. GET /api/vehicles/:vin reports connectivity:
+{ "status": "online" | "offline" | "never_reported", "lastSeen": "...",
+  "silentForSeconds": 42, "noSignalAfterSeconds": 300 }
+
+Maintenance: each plan counts its intervals from the vehicle's last service
+for that plan (or from registration). When a plan is within 500 km, 7 days or
+10 engine hours of being due a MAINTENANCE_DUE alert (Medium) is raised; once
+overdue it escalates to High. Logging a service record resolves it. Engine
+hours are derived from raw telemetry while the engine is not Off.
+*/
@@ -0,0 +1,76 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { ADMIN_API_KEY, startServer, fleetData, vehicleData, telemetryData } = require('./helpers');
+
+const VIN = '1HGCM82633A000003';
+const OTHER_VIN = '1HGCM82633A000004';
+let server;
+
+async function issueKey(data) {
+    const created = await server.request('POST', '/api/auth/keys', { body: data });
+    assert.equal(created.status, 201);
+    return created.body.data.key;
+}
+
+before(async () => {
+    server = await startServer();
+    assert.equal((await server.request('POST', '/api/fleets', { body: fleetData() })).status, 201);
+    assert.equal((await server.request('POST', '/api/vehicles', { body: vehicleData(VIN) })).status, 201);
+    assert.equal((await server.request('POST', '/api/vehicles', { body: vehicleData(OTHER_VIN) })).status, 201);
+});
+
+after(() => server.stop());
+
+test('health check needs no key', async () => {
+    assert.equal((await server.request('GET', '/api/health', { apiKey: null })).status, 200);
+});
+
+test('rejects requests without a key or with an unknown key with 401', async () => {
+    assert.equal((await server.request('GET', '/api/vehicles', { apiKey: null })).status, 401);
+    assert.equal((await server.request('GET', '/api/vehicles', { apiKey: 'not-a-key' })).status, 401);
+});
+
+test('the event stream takes ?apiKey= but not a repeated one', async () => {
+    const repeated = await server.request('GET', `/api/stream?apiKey=${ADMIN_API_KEY}&apiKey=${ADMIN_API_KEY}`, { apiKey: null });
+    assert.equal(repeated.status, 401);
+
+    const controller = new AbortController();
+    const stream = await fetch(`${server.baseUrl}/api/stream?apiKey=${ADMIN_API_KEY}`, { signal: controller.signal });
+    assert.equal(stream.status, 200);
+    controller.abort();
+});
+
+test('accepts the admin key as a bearer token', async () => {
+    const me = await server.request('GET', '/api/auth/me', {
+        apiKey: null,
+        headers: { Authorization: `Bearer ${ADMIN_API_KEY}` }
+    });
+    assert.equal(me.status, 200);
+    assert.equal(me.body.data.role, 'admin');
+});
+
+test('viewers can read but not write', async () => {
+    const key = await issueKey({ name: 'viewer', role: 'viewer' });
+    assert.equal((await server.request('GET', '/api/vehicles', { apiKey: key })).status, 200);
+    assert.equal((await server.request('POST', '/api/vehicles', {
+        apiKey: key,
+        body: vehicleData('1HGCM82633A000005')
+    })).status, 403);
+});
+
+test('device keys may only send telemetry for their own vehicle', async () => {
+    const key = await issueKey({ name: 'tracker', role: 'device', vin: VIN });
+    assert.equal((await server.request('POST', `/api/telemetry/${VIN}`, { apiKey: key, body: telemetryData() })).status, 201);
+    assert.equal((await server.request('POST', `/api/telemetry/${OTHER_VIN}`, { apiKey: key, body: telemetryData() })).status, 403);
+    assert.equal((await server.request('GET', '/api/alerts', { apiKey: key })).status, 403);
+});
+
+test('revoked keys are rejected', async () => {
+    const created = await server.request('POST', '/api/auth/keys', { body: { name: 'temporary', role: 'viewer' } });
+    assert.equal(created.status, 201);
+    const { id, key } = created.body.data;
+
+    assert.equal((await server.request('DELETE', `/api/auth/keys/${id}`)).status, 200);
+    assert.equal((await server.request('GET', '/api/vehicles', { apiKey: key })).status, 401);
+});
@@ -0,0 +1,121 @@
+const { spawn } = require('node:child_process');
+const net = require('node:net');
+const path = require('node:path');
+
+const APP = path.join(__dirname, '..', 'javascriptcode.js');
+const START_TIMEOUT_MS = 10000;
+const ADMIN_API_KEY = 'test-admin-key';
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const server = net.createServer();
+        server.on('error', reject);
+        server.listen(0, () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+    });
+}
+
+// The app starts listening as soon as it is required, so each test server runs in
+// its own process; env overrides STORAGE_DRIVER and friends for that process only
+async function startServer(env = {}) {
+    const port = await freePort();
+    const child = spawn(process.execPath, [APP], {
+        env: { ...process.env, STORAGE_DRIVER: 'memory', ADMIN_API_KEY, ...env, PORT: String(port) },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    let output = '';
+    await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`Server did not start:\n${output}`)), START_TIMEOUT_MS);
+        child.stdout.on('data', chunk => {
+            output += chunk;
+            if (output.includes(`running on port ${port}`)) {
+                clearTimeout(timer);
+                resolve();
+            }
+        });
+        child.stderr.on('data', chunk => {
+            output += chunk;
+        });
+        child.on('exit', code => {
+            clearTimeout(timer);
+            reject(new Error(`Server exited with code ${code}:\n${output}`));
+        });
+    });
+
+    const baseUrl = `http://127.0.0.1:${port}`;
+
+    // Requests carry the admin key unless apiKey names another one (null sends none)
+    async function request(method, urlPath, { body, headers = {}, apiKey = ADMIN_API_KEY } = {}) {
+        const init = { method, headers: { ...headers } };
+        if (apiKey) {
+            init.headers['X-API-Key'] = apiKey;
+        }
+        if (typeof body === 'string') {
+            init.body = body;
+        } else if (body !== undefined) {
+            init.body = JSON.stringify(body);
+            init.headers['Content-Type'] = 'application/json';
+        }
+
+        const res = await fetch(baseUrl + urlPath, init);
+        const text = await res.text();
+        let json = null;
+        try {
+            json = JSON.parse(text);
+        } catch (error) {
+            // Not every response is JSON (e.g. CSV exports)
+        }
+        return { status: res.status, headers: res.headers, body: json, text };
+    }
+
+    // SIGTERM goes through the app's exit handler, which flushes the repository
+    function stop() {
+        return new Promise(resolve => {
+            if (child.exitCode !== null || child.signalCode !== null) {
+                return resolve();
+            }
+            child.once('exit', () => resolve());
+            child.kill('SIGTERM');
+        });
+    }
+
+    return { baseUrl, request, stop };
+}
+
+// Vehicles need an existing fleet; every test vehicle belongs to this one
+function fleetData() {
+    return { id: 'Corporate', name: 'Corporate' };
+}
+
+function vehicleData(vin, overrides = {}) {
+    return {
+        vin,
+        manufacturer: 'Tesla',
+        model: 'Model 3',
+        fleetId: 'Corporate',
+        owner: 'Test Owner',
+        ...overrides
+    };
+}
+
+function telemetryData(overrides = {}) {
+    return {
+        speed: 42,
+        fuelLevel: 60,
+        batteryLevel: 80,
+        location: { latitude: 37.7749, longitude: -122.4194 },
+        engineStatus: 'Running',
+        ...overrides
+    };
+}
+
+module.exports = {
+    ADMIN_API_KEY,
+    startServer,
+    fleetData,
+    vehicleData,
+    telemetryData
+};
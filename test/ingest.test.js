@@ -0,0 +1,75 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startServer, fleetData, vehicleData, telemetryData } = require('./helpers');
+
+const VIN = '1HGCM82633A000002';
+let server;
+
+before(async () => {
+    server = await startServer();
+    assert.equal((await server.request('POST', '/api/fleets', { body: fleetData() })).status, 201);
+    const created = await server.request('POST', '/api/vehicles', { body: vehicleData(VIN) });
+    assert.equal(created.status, 201);
+});
+
+after(() => server.stop());
+
+test('stores telemetry and returns it as the latest record', async () => {
+    const posted = await server.request('POST', `/api/telemetry/${VIN}`, { body: telemetryData({ speed: 30 }) });
+    assert.equal(posted.status, 201);
+    assert.equal(posted.body.data.vin, VIN);
+
+    const latest = await server.request('GET', `/api/telemetry/${VIN}/latest`);
+    assert.equal(latest.status, 200);
+    assert.equal(latest.body.data.speed, 30);
+});
+
+test('rejects telemetry for an unknown vehicle with 404', async () => {
+    const posted = await server.request('POST', '/api/telemetry/1HGCM82633A999999', { body: telemetryData() });
+    assert.equal(posted.status, 404);
+});
+
+test('rejects an invalid payload with 400 and lists every problem', async () => {
+    const posted = await server.request('POST', `/api/telemetry/${VIN}`, {
+        body: telemetryData({ speed: -5, engineStatus: 'Flying' })
+    });
+    assert.equal(posted.status, 400);
+    assert.equal(posted.body.errors.length, 2);
+});
+
+test('bulk upload takes NDJSON and reports every record by index', async () => {
+    const lines = [
+        { vin: VIN, ...telemetryData({ speed: 10 }) },
+        { vin: VIN, ...telemetryData({ speed: -1 }) },
+        { vin: '1HGCM82633A999999', ...telemetryData() }
+    ].map(record => JSON.stringify(record)).join('\n');
+
+    const posted = await server.request('POST', '/api/telemetry/batch', {
+        body: lines,
+        headers: { 'Content-Type': 'application/x-ndjson' }
+    });
+    assert.equal(posted.status, 201);
+    assert.equal(posted.body.accepted, 1);
+    assert.equal(posted.body.rejected, 2);
+    assert.deepEqual(posted.body.data.map(result => result.success), [true, false, false]);
+});
+
+test('bulk upload takes CSV', async () => {
+    const csv = [
+        'vin,speed,fuelLevel,batteryLevel,latitude,longitude,address,engineStatus',
+        `${VIN},20,50,70,37.7750,-122.4195,,Running`,
+        `${VIN},25,49,69,37.7751,-122.4196,Market St,Running`
+    ].join('\n');
+
+    const posted = await server.request('POST', '/api/telemetry/batch', {
+        body: csv,
+        headers: { 'Content-Type': 'text/csv' }
+    });
+    assert.equal(posted.status, 201);
+    assert.equal(posted.body.accepted, 2);
+
+    const latest = await server.request('GET', `/api/telemetry/${VIN}/latest`);
+    assert.equal(latest.body.data.speed, 25);
+    assert.equal(latest.body.data.location.address, 'Market St');
+});
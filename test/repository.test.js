@@ -0,0 +1,64 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const { startServer, fleetData, vehicleData, telemetryData } = require('./helpers');
+
+const VIN = '1HGCM82633A000001';
+const tmpDirs = [];
+
+after(() => {
+    tmpDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+});
+
+test('memory driver keeps data only for the life of the process', async () => {
+    const first = await startServer({ STORAGE_DRIVER: 'memory' });
+    try {
+        assert.equal((await first.request('POST', '/api/fleets', { body: fleetData() })).status, 201);
+        const created = await first.request('POST', '/api/vehicles', { body: vehicleData(VIN) });
+        assert.equal(created.status, 201);
+        assert.equal((await first.request('GET', `/api/vehicles/${VIN}`)).status, 200);
+    } finally {
+        await first.stop();
+    }
+
+    const second = await startServer({ STORAGE_DRIVER: 'memory' });
+    try {
+        assert.equal((await second.request('GET', `/api/vehicles/${VIN}`)).status, 404);
+    } finally {
+        await second.stop();
+    }
+});
+
+test('file driver saves each collection to STORAGE_DIR and reloads it on start', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fleet-storage-'));
+    tmpDirs.push(dir);
+    const env = { STORAGE_DRIVER: 'file', STORAGE_DIR: dir };
+
+    const first = await startServer(env);
+    try {
+        assert.equal((await first.request('POST', '/api/fleets', { body: fleetData() })).status, 201);
+        assert.equal((await first.request('POST', '/api/vehicles', { body: vehicleData(VIN) })).status, 201);
+        assert.equal((await first.request('POST', `/api/telemetry/${VIN}`, { body: telemetryData({ speed: 55 }) })).status, 201);
+    } finally {
+        await first.stop();
+    }
+
+    assert.ok(fs.existsSync(path.join(dir, 'vehicles.json')));
+    assert.ok(fs.existsSync(path.join(dir, 'telemetry.json')));
+
+    const second = await startServer(env);
+    try {
+        const vehicle = await second.request('GET', `/api/vehicles/${VIN}`);
+        assert.equal(vehicle.status, 200);
+        assert.equal(vehicle.body.data.owner, 'Test Owner');
+
+        const latest = await second.request('GET', `/api/telemetry/${VIN}/latest`);
+        assert.equal(latest.status, 200);
+        assert.equal(latest.body.data.speed, 55);
+    } finally {
+        await second.stop();
+    }
+});